@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import { createPostgresCacheStore } from './db';
+
+// The cache stores that can be chosen with the CACHE_STORE environment variable
+export const CACHE_STORE_TYPES = ['file', 'postgres'];
+
+/**
+ * Creates the cache store the service keeps its caches in between restarts. Every store has the same interface:
+ * read(cacheName) resolves to the stored value (or undefined if nothing has been stored yet) and
+ * write(cacheName, value, changedIssueIds) resolves once the value has been stored. changedIssueIds lists the issues whose
+ * entries in the issue array or event log caches have changed since the last write, so stores can write just those
+ * (without it everything in the value is written). shared is true if other instances of the service can write to the
+ * store too, in which case the caches need reading back in when they've been updated (see reloadCachesFromStore).
+ *
+ * @param {string} type The type of store, one of CACHE_STORE_TYPES
+ * @param {{directory: string, connectionString: string, reviver: function(string, *): *}} options Where to store the caches and how to read them back in
+ * @return {{read: function(string): Promise, write: function(string, *, string[]=): Promise, shared: boolean}} The cache store
+ */
+export function createCacheStore(type, options) {
+  switch (type) {
+    case 'file': return createFileCacheStore(options.directory, options.reviver);
+    case 'postgres': return createPostgresCacheStore(options.connectionString, options.reviver);
+    default: throw new Error("Unknown cache store type: " + type + " (expected one of " + CACHE_STORE_TYPES.join(', ') + ")");
+  }
+}
+
+/**
+ * Creates a cache store that keeps each cache in a JSON file in a directory on the local disk. The whole cache is
+ * rewritten each time, so the changed issues aren't needed.
+ *
+ * @param {string} directory The directory to write the cache files to (created if it doesn't exist)
+ * @param {function(string, *): *} reviver The JSON.parse reviver used to read the caches back in (e.g. to revive Dates)
+ * @return {{read: function(string): Promise, write: function(string, *): Promise, shared: boolean}} The cache store
+ */
+export function createFileCacheStore(directory, reviver) {
+
+  function getFileName(cacheName) {
+    return path.join(directory, cacheName + '.json');
+  }
+
+  function read(cacheName) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(getFileName(cacheName), 'utf8', (err, jsonData) => {
+        if (err) {
+          if (err.code == 'ENOENT') {
+            resolve(undefined);
+          } else {
+            reject(err);
+          }
+        } else {
+          try {
+            resolve(JSON.parse(jsonData, reviver));
+          } catch (parseErr) {
+            reject(parseErr);
+          }
+        }
+      });
+    });
+  }
+
+  function write(cacheName, value) {
+    return new Promise((resolve, reject) => {
+      // Make the caches directory if it doesn't exist already
+      if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+      }
+      fs.writeFile(getFileName(cacheName), JSON.stringify(value), 'utf8', (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  return {
+    read: read,
+    write: write,
+    shared: false
+  };
+}
@@ -9,11 +9,29 @@ import dateformat from 'dateformat';
 import dotenv from 'dotenv';
 import AsyncLock from 'async-lock';
 import fs from 'fs';
+import crypto from 'crypto';
+import { createCacheStore } from './cachestore';
 
 /* ========================== */
 /* CONSTANTS                  */
 /* ========================== */
 
+// The maximum number of velocity cache entries to keep - the least recently used are evicted first
+const VELOCITY_CACHE_MAX_ENTRIES = 20;
+// The maximum number of defect raise rate cache entries to keep - the least recently used are evicted first
+const DEFECT_RAISE_RATE_CACHE_MAX_ENTRIES = 20;
+// Monte Carlo projection settings: the confidence levels reported, defaults and limits for the number of simulated
+// futures and days of history to sample, the furthest into the future the projected burnups are drawn (every simulated
+// day's burnup is kept for each trial up to then, so this and the trials limit bound the memory used) and the furthest
+// into the future a simulation will run looking for a completion date before giving up
+const MONTE_CARLO_CONFIDENCES = [50, 85, 95];
+const DEFAULT_MONTE_CARLO_TRIALS = 1000;
+const MONTE_CARLO_MAX_TRIALS = 10000;
+const DEFAULT_MONTE_CARLO_SAMPLE_DAYS = 90;
+const MONTE_CARLO_MAX_SAMPLE_DAYS = 365;
+const MONTE_CARLO_MAX_HORIZON_DAYS = 365;
+const MONTE_CARLO_MAX_DAYS = 3 * 365;
+const DAY_MS = 1000 * 60 * 60 * 24;
 // Story size used if none is specified (note: this doesn't override a size specifically set to 0)
 const DEFAULT_STORY_SIZE = 0;
 // The size to return for a bug if no size is specified - this is only used when explicitly requested in config
@@ -32,32 +50,125 @@ const METRICS = [
   'Release Projection',
   'Release Epics',
   'Defect raise rate',
-  'Average cycle time for ticket size'
-];
-const STATUSES = [
-  'Backlog',
-  'Ideas',
-  'Prioritised',
-  'Sprint Prioritised',
-  'Test Analysis',
-  'Design',
-  'Dev',
-  'Development',
-  'In Review',
-  'Dev Review',
-  'Test Review',
-  'Staging Review',
-  'Business Acceptance',
-  'BA',
-  'Deploy Queue',
-  'Deploy',
-  'Deployed',
-  'Done',
-  'Not Doing'
-];
-const CANCELLED_STATUSES = [
-  'Not Doing'
+  'Average cycle time for ticket size',
+  'Throughput',
+  'Cumulative flow',
+  'WIP',
+  'Work item age',
+  'Time in status',
+  'Flow efficiency',
+  'Lead time',
+  'Cycle time scatterplot',
+  'Rework rate',
+  'Release Scope Change',
+  'Sprint velocity',
+  'Sprint burndown'
 ];
+// The value stream used for any project that doesn't have one defined in the config file
+const DEFAULT_VALUE_STREAM = {
+  statuses: [
+    'Backlog',
+    'Ideas',
+    'Prioritised',
+    'Sprint Prioritised',
+    'Test Analysis',
+    'Design',
+    'Dev',
+    'Development',
+    'In Review',
+    'Dev Review',
+    'Test Review',
+    'Staging Review',
+    'Business Acceptance',
+    'BA',
+    'Deploy Queue',
+    'Deploy',
+    'Deployed',
+    'Done',
+    'Not Doing'
+  ],
+  cancelledStatuses: [
+    'Not Doing'
+  ],
+  doneResolutions: [
+    'Done'
+  ],
+  cancelledResolutions: [],
+  // Statuses in which the ticket is being actively worked on (rather than waiting) for flow efficiency
+  activeStatuses: [
+    'Test Analysis',
+    'Design',
+    'Dev',
+    'Development',
+    'Deploy'
+  ],
+  // The ticket tables count a ticket as started once it moves on from this status, and finished once it reaches this one
+  startedFromStatus: 'Prioritised',
+  finishedToStatus: 'Deploy Queue'
+};
+// Defaults for the JQL based ticket table metrics
+const DEFAULT_HIGH_VIZ_LABEL = 'high-viz';
+const DEFAULT_LOOKBACK = '-1w';
+// The statistics that cycle times can be summarised by (see calculateStatistic)
+const STATISTICS = ['mean', 'median', 'p85', 'p95', 'min', 'max', 'stddev'];
+// The most rows a cycle or lead time distribution table has - the buckets are widened if there would be more
+const DISTRIBUTION_MAX_BUCKETS = 1000;
+// A JQL relative date in the past, in weeks, days, hours or minutes, e.g. -1w
+const LOOKBACK_PATTERN = /^-\d+[wdhm]$/;
+// The values from a query that are put in to JQL unquoted must look like a JIRA project key or a team ID
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const TEAM_ID_PATTERN = /^\d+$/;
+// The reason recorded against a change in release or initiative scope for each type of event in the event log
+const SCOPE_CHANGE_REASONS = {
+  created: 'Added',
+  resolutionChange: 'Removed',
+  deleted: 'Removed',
+  sizeChange: 'Re-estimated',
+  addVersion: 'Moved',
+  removeVersion: 'Moved',
+  parentChange: 'Moved',
+  addChild: 'Moved',
+  removeChild: 'Moved'
+};
+// The reason recorded when a resolution change adds scope back, i.e. a cancelled ticket is un-cancelled
+const REOPENED_SCOPE_CHANGE_REASON = 'Re-opened';
+// The JIRA fields the service uses, keyed by the name we refer to them by. The IDs differ between JIRA sites so they can be
+// set in the config file, or looked up by name from JIRA's field list (see getFieldMappingPromise)
+const DEFAULT_FIELDS = {
+  storyPoints: {id: 'customfield_10016', name: 'Story Points'},
+  epicLink: {id: 'customfield_10008', name: 'Epic Link'},
+  parentLink: {id: 'customfield_10009', name: 'Parent Link'},
+  team: {id: 'customfield_10001', name: 'Team'},
+  statusDetail: {id: 'customfield_10059', name: 'Status Detail'},
+  acceptanceCriteria: {id: 'customfield_10060', name: 'Acceptance Criteria'},
+  sprint: {id: 'customfield_10020', name: 'Sprint'}
+};
+// The service configuration file (value streams etc.) - can be overridden with the CONFIG_FILE environment variable
+const DEFAULT_CONFIG_FILE = 'config.json';
+// Where the caches are kept between restarts - can be overridden with the CACHE_STORE ('file' or 'postgres'),
+// CACHE_DIR and DATABASE_URL environment variables
+const DEFAULT_CACHE_STORE = 'file';
+const DEFAULT_CACHE_DIR = 'caches';
+// The caches that are written to and read back in from the cache store
+const STORED_CACHES = ['fullIssueArrayCache', 'fullIssueArrayCacheLastUpdateTime', 'fullIssueArrayCacheLastPollTime', 'fullEventLogCache', 'fullEventLogCacheLastUpdateTime'];
+// How often the caches are refreshed in the background (0 = never, they're only refreshed when queried) - can be overridden
+// with the REFRESH_INTERVAL_MINUTES environment variable
+const DEFAULT_REFRESH_INTERVAL_MINUTES = 0;
+// How many of the most recent distinct queries are re-run on each background refresh to keep the derived caches warm - can
+// be overridden with the REFRESH_MAX_QUERIES environment variable
+const DEFAULT_REFRESH_MAX_QUERIES = 50;
+// Queries that haven't been asked for in this long are no longer re-run by the background refresh
+const REFRESH_QUERY_EXPIRY_MS = 24 * 60 * 60 * 1000;
+// The issue types that are cached (and so analysed)
+const CACHED_ISSUE_TYPES = ['Initiative', 'Epic', 'Story', 'Bug'];
+// JIRA webhooks are only accepted if they carry this shared secret (see /webhooks/jira)
+const WEBHOOK_SECRET = process.env.JIRA_WEBHOOK_SECRET;
+// How often to check for issues that have been deleted in JIRA (or moved to an issue type that isn't cached) - can be
+// overridden with the RECONCILE_INTERVAL_MINUTES environment variable (0 = never)
+const DEFAULT_RECONCILE_INTERVAL_MINUTES = 0;
+// Issues updated this recently aren't treated as deleted if they're missing from JIRA's search results, as the search
+// index can lag behind changes (they'll be checked again next time)
+const RECONCILE_GRACE_MS = 10 * 60 * 1000;
 
 /* ========================== */
 /* GLOBALS                    */
@@ -77,29 +188,56 @@ const gJira = new JiraClient({
 });
 let gAuthenticationStrategy = null;
 
+/* The service configuration (see config-example.json) */
+let gConfig = {
+  valueStreams: {}, // projectKey (or "default") => {statuses: string[], cancelledStatuses: string[], doneResolutions: string[], cancelledResolutions: string[]}
+  fields: {}, // field key (see DEFAULT_FIELDS) => field ID or the name of the field to look up in JIRA
+  discoverFields: false // if true then any field not set in the config is looked up in JIRA by its default name
+};
+let gFieldIds = {}; // field key (see DEFAULT_FIELDS) => JIRA field ID, e.g. storyPoints => 'customfield_10016'
+// Resolves once the start up tasks that queries depend on (e.g. field discovery) have completed
+let gReadyPromise = null;
+
 /* The data caches and related control variables */
 let gCacheManagementLock = new AsyncLock();
+let gCacheStore = null; // Where the caches are kept between restarts (see cachestore.js)
+let gCacheStoreWritePromises = {}; // cacheName => Promise that resolves when the last write of that cache has finished
+let gRefreshIntervalMs = 0; // How often the caches are refreshed in the background (0 if they aren't)
+let gRefreshMaxQueries = DEFAULT_REFRESH_MAX_QUERIES; // How many recent queries the background refresh re-runs
+let gRefreshQueries = new Map(); // The recent queries re-run by the background refresh; JSON of targets,range duration,intervalMs => {targets: [], durationMs: number, intervalMs: number, maxDataPoints: number, lastRequested: Date}. Least recently requested first.
+let gRefreshInProgress = false; // True while a background refresh is running
+let gRefreshPending = false; // True if another background refresh has been asked for while one is running
+let gSnapshotTime = null; // The time queries are answered as of while the caches are refreshed in the background (see getLatestSnapshotTime). Only moved on once a refresh has re-run the recent queries, so queries don't recalculate the derived caches themselves.
+let gWebhookCount = 0; // The number of JIRA webhooks received, used to make their request IDs
+let gReconcileCount = 0; // The number of deleted issue checks started, used to make their request IDs
+let gRefreshCount = 0; // The number of background refreshes started, used to make their request IDs
 
 // Cache store
 let gCaches = {
-  fullIssueArrayCache: [],  // The full and updated array of issues we care about
-  fullIssueArrayCacheLastUpdateTime: null, // The last time the issue array cache was updated
+  fullIssueArrayCache: [],  // The full and updated array of issues we care about. Issues that have gone from JIRA are kept but marked with the Date they went ("deleted") so history stays consistent
+  fullIssueArrayCacheLastUpdateTime: null, // The last time the issue array cache was updated (by a query to JIRA or a webhook)
+  fullIssueArrayCacheLastPollTime: null, // The last time JIRA was queried for updated issues (webhooks don't move this on)
   fullEventLogCache: [], // The full event log calculated from the full issue array
   fullEventLogCacheLastUpdateTime: null // The last time the event log cache was updated
 };
+// The IDs of the issues that have been added or updated in the issue array cache since the event log cache was last updated,
+// so only their events need to be recalculated. Null if they aren't known, in which case the whole event log is recalculated.
+let gEventLogChangedIssueIds = null;
+
+let gVelocityCache = new Map(); // The cache of velocities - measured in points per 14 calendar days; futureStatuses,projectKey,teamId,addBugsDefault,bugDefaultSize => {velocities: [[velocity, Math.floor(Date)]], window: {...}, lastUpdateTime: Date}. Least recently used first.
 
-let gVelocityCache = []; // The cache of velocities ([[velocity, Math.floor(Date)]]) - measured in points per 14 calendar days
-let gVelocityCacheWindow = null; // The window information that applies to the velocities cache
-let gVelocityCacheFutureStatuses = null; // The future statuses for the cached velocities
-let gVelocityCacheProjectKey = null; // The project key for which the velocity cache was calculated
-let gVelocityCacheTeamId = null; // The team id for which the velocity cache was calculated
-let gVelocityCacheAddBugsDefault = null; // True if bugs were included in velocity cache calculation
-let gVelocityCacheBugsDefaultSize = null; // Default bug size used in velocity cache calculation
+let gThroughputCache = {}; // The cache of throughputs - measured in tickets completed per rolling window or per calendar week; futureStatuses,projectKey,teamId,issueTypes,period,days => {throughputs: [[count, Math.floor(Date)]], window: {...}, lastUpdateTime: Date}
+let gCumulativeFlowCache = {}; // The cache of cumulative flows - measured in tickets (or points) in each status or later; statuses,projectKey,teamId,measure,addBugsDefault,bugDefaultSize => {flows: {status: [[value, Math.floor(Date)]]}, window: {...}, lastUpdateTime: Date}
+let gWIPCache = {}; // The cache of work in progress - measured in tickets (or points) in each status; statuses,projectKey,teamId,measure,addBugsDefault,bugDefaultSize => {wips: {status: [[value, Math.floor(Date)]]}, window: {...}, lastUpdateTime: Date}
+let gTimeInStatusCache = {}; // The cache of time spent in each status by the tickets completed in a rolling window (and their flow efficiency); fromStatuses,futureStatuses,projectKey,teamId,days,activeStatuses => {timesInStatus: {status: [[days, Math.floor(Date)]]}, flowEfficiencies: [[percentage, Math.floor(Date)]], window: {...}, lastUpdateTime: Date}
+let gReworkRateCache = {}; // The cache of rework - measured in backward moves per rolling window, and the percentage of tickets completed in the window that later regressed; futureStatuses,projectKey,teamId,days => {backwardMoves: [[count, Math.floor(Date)]], regressedPercentages: [[percentage, Math.floor(Date)]], window: {...}, lastUpdateTime: Date}
+let gSprintVelocityCache = {}; // The cache of committed and completed points for each active or closed sprint on a board; boardId,futureStatuses,addBugsDefault,bugDefaultSize => {sprintVelocities: [{sprint: {...}, committed: number, completed: number}], lastUpdateTime: Date}
+let gDefectRaiseRateCache = new Map(); // The cache of defect raise rates - measured in bugs per rolling window (or bugs per point delivered); futureStatuses,projectKey,teamId,priorities,days,ratioToPoints,addBugsDefault,bugDefaultSize => {defectRates: [[rate, Math.floor(Date)]], window: {...}, lastUpdateTime: Date}. Least recently used first.
 
 let gCycleTimeCache = {}; // The cache of cycle times - measured in days per point; projectKey,teamId => {cycleTimes: [[cycletime, Math.floor(Date)]], fromStatuses: [string], futureStatuses: [string], lastUpdateTime: Date}
 
-let gReleaseScopeAndBurnupDataCache = {}; // id => {scopeData: [[scope, Math.floor(Date)]], burnupData: [[scope, Math.floor(Date)]], lastUpdateTime: Date}
-let gInitiativeScopeAndBurnupDataCache = {}; // id => {scopeData: [[scope, Math.floor(Date)]], burnupData: [[scope, Math.floor(Date)]], lastUpdateTime: Date}
+let gReleaseScopeAndBurnupDataCache = {}; // id,doneResolutions,cancelledResolutions => {scopeData: [[scope, Math.floor(Date)]], burnupData: [[scope, Math.floor(Date)]], scopeChanges: [{datetime: Date, issueKey: string, reason: string, points: number}], lastUpdateTime: Date}
+let gInitiativeScopeAndBurnupDataCache = {}; // id,doneResolutions,cancelledResolutions => {scopeData: [[scope, Math.floor(Date)]], burnupData: [[scope, Math.floor(Date)]], scopeChanges: [{datetime: Date, issueKey: string, reason: string, points: number}], lastUpdateTime: Date}
 
 /* ========================== */
 /* INITIALISATION             */
@@ -129,6 +267,13 @@ function init() {
   }
 
   // Set up logging etc.
+  gApp.use('/webhooks/jira', json({
+    limit: '5mb', // JIRA webhooks include the whole issue
+    verify: (httpReq, httpRes, buf) => {
+      // Keep the raw body so JIRA webhook signatures can be checked
+      httpReq.rawBody = buf;
+    }
+  }));
   gApp.use(json());
   gApp.use(morgan('combined')); // We want to log all HTTP requests
   gApp.use(passport.initialize());
@@ -152,18 +297,197 @@ function init() {
     return value;
   };  
 
-  // Read the caches in from disk (So we don't go back to JIRA for the entire history of everything. again.)
-  readCacheFromDisk("fullIssueArrayCache");
-  readCacheFromDisk("fullIssueArrayCacheLastUpdateTime");
+  // Read in the service configuration (value streams etc.)
+  readConfigFromDisk();
+
+  // Read the caches in from the cache store (So we don't go back to JIRA for the entire history of everything. again.)
+  gCacheStore = createCacheStore(process.env.CACHE_STORE || DEFAULT_CACHE_STORE, {
+    directory: process.env.CACHE_DIR || DEFAULT_CACHE_DIR,
+    connectionString: process.env.DATABASE_URL,
+    reviver: JSON.dateParser
+  });
+
+  gReadyPromise = Promise.all([
+    getFieldMappingPromise(),
+    Promise.all(STORED_CACHES.map((cacheName) => {return readCacheFromStore(cacheName)})).then(() => {
+      // If the stored event log was calculated from the stored issues then only issues that change from now on need their events recalculating
+      if (gCaches.fullEventLogCacheLastUpdateTime != null && gCaches.fullIssueArrayCacheLastUpdateTime != null
+        && gCaches.fullEventLogCacheLastUpdateTime.getTime() == gCaches.fullIssueArrayCacheLastUpdateTime.getTime()) {
+        gEventLogChangedIssueIds = new Set();
+      }
+      gSnapshotTime = getLatestSnapshotTime();
+    })
+  ]);
+
+  // Refresh the caches in the background so queries don't have to wait for JIRA (and warm them up now)
+  gRefreshIntervalMs = parseFloat(process.env.REFRESH_INTERVAL_MINUTES || DEFAULT_REFRESH_INTERVAL_MINUTES) * 60 * 1000;
+  gRefreshMaxQueries = parseInt(process.env.REFRESH_MAX_QUERIES || DEFAULT_REFRESH_MAX_QUERIES);
+  if (isNaN(gRefreshMaxQueries) || gRefreshMaxQueries < 1) {
+    console.warn("Ignoring REFRESH_MAX_QUERIES=" + process.env.REFRESH_MAX_QUERIES + ": expected a whole number of 1 or more, using " + DEFAULT_REFRESH_MAX_QUERIES);
+    gRefreshMaxQueries = DEFAULT_REFRESH_MAX_QUERIES;
+  }
+  if (gRefreshIntervalMs > 0) {
+    gReadyPromise.then(() => {
+      refreshCaches();
+      setInterval(refreshCaches, gRefreshIntervalMs);
+    });
+  }
 
-  readCacheFromDisk("fullEventLogCache");
-  readCacheFromDisk("fullEventLogCacheLastUpdateTime");
+  // Periodically look for issues that have been deleted in JIRA, as they don't show up in the updated issue queries
+  let reconcileIntervalMs = parseFloat(process.env.RECONCILE_INTERVAL_MINUTES || DEFAULT_RECONCILE_INTERVAL_MINUTES) * 60 * 1000;
+  if (reconcileIntervalMs > 0) {
+    gReadyPromise.then(() => {
+      setInterval(reconcileIssueCache, reconcileIntervalMs);
+    });
+  }
 
 }
 
 // Initialise everything
 init();
 
+/* ========================== */
+/* CONFIGURATION              */
+/* ========================== */
+
+/**
+ * Reads the service configuration file in to gConfig. The file is optional - if it doesn't exist then the defaults are used.
+ */
+function readConfigFromDisk() {
+  let configFile = process.env.CONFIG_FILE || DEFAULT_CONFIG_FILE;
+  console.info('Reading in config ' + configFile);
+  try {
+    let config = JSON.parse(fs.readFileSync(configFile));
+    if (config.valueStreams != null) {
+      Object.entries(config.valueStreams).forEach(([projectKey, valueStream]) => {
+        if (!Array.isArray(valueStream.statuses) || valueStream.statuses.length == 0) {
+          console.error("Ignoring value stream for " + projectKey + " in " + configFile + ": statuses must be a non-empty array");
+          return;
+        }
+        gConfig.valueStreams[projectKey] = {
+          statuses: valueStream.statuses,
+          cancelledStatuses: valueStream.cancelledStatuses || [],
+          doneResolutions: valueStream.doneResolutions || DEFAULT_VALUE_STREAM.doneResolutions,
+          cancelledResolutions: valueStream.cancelledResolutions || [],
+          activeStatuses: valueStream.activeStatuses || DEFAULT_VALUE_STREAM.activeStatuses.filter((status) => {return valueStream.statuses.includes(status)}),
+          startedFromStatus: valueStream.startedFromStatus || (valueStream.statuses.includes(DEFAULT_VALUE_STREAM.startedFromStatus) ? DEFAULT_VALUE_STREAM.startedFromStatus : valueStream.statuses[0]),
+          finishedToStatus: valueStream.finishedToStatus || (valueStream.statuses.includes(DEFAULT_VALUE_STREAM.finishedToStatus) ? DEFAULT_VALUE_STREAM.finishedToStatus : getLastCompletionStatus(valueStream))
+        };
+      });
+    }
+    if (config.fields != null) {
+      Object.entries(config.fields).forEach(([fieldKey, field]) => {
+        if (!DEFAULT_FIELDS.hasOwnProperty(fieldKey)) {
+          console.warn("Ignoring unknown field " + fieldKey + " in " + configFile);
+          return;
+        }
+        gConfig.fields[fieldKey] = field;
+      });
+    }
+    gConfig.discoverFields = config.discoverFields === true;
+  } catch (err) {
+    if (err.code != 'ENOENT') {
+      console.error("Error reading config file: " + configFile);
+      console.error(err);
+    }
+  }
+}
+
+/**
+ * Gets the value stream (the statuses a ticket moves through, in order) for a project. If the project doesn't
+ * have its own value stream in the config file then the config file's "default" value stream is used, and if
+ * that isn't defined either then the hard coded DEFAULT_VALUE_STREAM is used.
+ * 
+ * @param {string} projectKey The JIRA project key, e.g. 'ENG' (may be null)
+ * @return {{statuses: string[], cancelledStatuses: string[], doneResolutions: string[], cancelledResolutions: string[]}} The value stream for the project
+ */
+function getValueStream(projectKey) {
+  if (projectKey != null && gConfig.valueStreams.hasOwnProperty(projectKey)) {
+    return gConfig.valueStreams[projectKey];
+  } else if (gConfig.valueStreams.hasOwnProperty('default')) {
+    return gConfig.valueStreams['default'];
+  }
+  return DEFAULT_VALUE_STREAM;
+}
+
+/**
+ * @param {{statuses: string[], cancelledStatuses: string[]}} valueStream The value stream
+ * @return {string} The last status in the value stream that isn't a cancelled status
+ */
+function getLastCompletionStatus(valueStream) {
+  let completionStatuses = valueStream.statuses.filter((status) => {return !valueStream.cancelledStatuses.includes(status)});
+  return completionStatuses.length > 0 ? completionStatuses[completionStatuses.length - 1] : valueStream.statuses[valueStream.statuses.length - 1];
+}
+
+/**
+ * Works out the JIRA field ID for each of the fields in DEFAULT_FIELDS. Fields configured with an ID (e.g.
+ * "customfield_10016") are used as is. Fields configured with a name (e.g. "Story point estimate"), and all other fields
+ * if discoverFields is set, are looked up by name in JIRA's field list. Anything left over uses the default ID.
+ * 
+ * @return {Promise} Resolves once gFieldIds is populated
+ */
+function getFieldMappingPromise() {
+
+  let fieldNamesToDiscover = {};
+  Object.entries(DEFAULT_FIELDS).forEach(([fieldKey, defaultField]) => {
+    let configuredField = gConfig.fields[fieldKey];
+    gFieldIds[fieldKey] = defaultField.id;
+    if (configuredField != null) {
+      if (isFieldId(configuredField)) {
+        gFieldIds[fieldKey] = configuredField;
+      } else {
+        fieldNamesToDiscover[fieldKey] = configuredField;
+      }
+    } else if (gConfig.discoverFields) {
+      fieldNamesToDiscover[fieldKey] = defaultField.name;
+    }
+  });
+
+  if (Object.keys(fieldNamesToDiscover).length == 0) return Promise.resolve(gFieldIds);
+
+  return gJira.field.getAllFields().then((jiraFields) => {
+    Object.entries(fieldNamesToDiscover).forEach(([fieldKey, fieldName]) => {
+      let jiraField = jiraFields.find(f => {return f.name.toLowerCase() == fieldName.toLowerCase()});
+      if (jiraField != null) {
+        gFieldIds[fieldKey] = jiraField.id;
+        console.info("Using JIRA field " + jiraField.id + " (" + jiraField.name + ") for " + fieldKey);
+      } else {
+        console.warn("Could not find a JIRA field named " + fieldName + " for " + fieldKey + ", using " + gFieldIds[fieldKey]);
+      }
+    });
+    return gFieldIds;
+  }).catch((jiraErr) => {
+    console.error("Error discovering JIRA fields, using default field IDs");
+    console.error(jiraErr);
+    return gFieldIds;
+  });
+}
+
+/**
+ * @param {string} field A field ID or field name
+ * @return {boolean} true if the value looks like a JIRA field ID rather than a field name
+ */
+function isFieldId(field) {
+  return /^customfield_\d+$/.test(field);
+}
+
+/**
+ * @param {string} fieldKey The key of the field in DEFAULT_FIELDS, e.g. 'storyPoints'
+ * @return {string} The JIRA field ID, e.g. 'customfield_10016'
+ */
+function getFieldId(fieldKey) {
+  return gFieldIds[fieldKey];
+}
+
+/**
+ * @param {*} issue A JIRA Issue object
+ * @param {string} fieldKey The key of the field in DEFAULT_FIELDS, e.g. 'storyPoints'
+ * @return {*} The value of the field on the issue (undefined if the issue doesn't have the field)
+ */
+function getIssueField(issue, fieldKey) {
+  return issue.fields[getFieldId(fieldKey)];
+}
+
 /* ========================== */
 /* CACHE MANAGEMENT           */
 /* ========================== */
@@ -176,28 +500,31 @@ init();
  * @param {*} startAt 
  */
 function getFullIssueArrayCacheUpdatePromise(requestId, window, extraIssues = [], startAt = 0) {
+  // Don't wait behind a (background) refresh if the snapshot we've already got is recent enough
+  if (!isCacheOutOfDate(gCaches.fullIssueArrayCacheLastUpdateTime, window)) return Promise.resolve(gCaches.fullIssueArrayCache);
   return gCacheManagementLock.acquire("fullIssueArrayCache", () => {
-    return unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssues, startAt);
+    // Another instance may have already fetched the updates from JIRA
+    return reloadCachesFromStore(requestId).then(() => {
+      return unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssues, startAt);
+    });
   }).then( (result) => {
     // lock released
     return result;
   });
 }
 
-function unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssues = [], startAt = 0) {
-  let outOfDate = true;
-  if (gCaches.fullIssueArrayCacheLastUpdateTime != null) {
-    outOfDate = window.to > window.now ? window.now > gCaches.fullIssueArrayCacheLastUpdateTime : window.to > gCaches.fullIssueArrayCacheLastUpdateTime;
-  }
-
-  if (outOfDate) {
+function unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssues = [], startAt = 0, changedIssueIds = []) {
+  if (isCacheOutOfDate(gCaches.fullIssueArrayCacheLastUpdateTime, window)) {
 
     // Get all issues that have reached the target state or later
     var lastUpdateDateTimeJQLString;
-    let jql = 'issuetype in (Initiative, Epic, Story, Bug)';
+    let jql = 'issuetype in (' + CACHED_ISSUE_TYPES.join(', ') + ')';
     if (gCaches.fullIssueArrayCacheLastUpdateTime != null) {
-      // We've done this before so make sure we only get new information
-      lastUpdateDateTimeJQLString = dateformat(gCaches.fullIssueArrayCacheLastUpdateTime, 'yyyy-mm-dd HH:MM');
+      // We've done this before so make sure we only get new information. Webhooks move the last update time on for just
+      // the issues they're about, so ask for everything updated since JIRA was last queried (caches stored before the
+      // poll time was kept only have the last update time).
+      let lastPollTime = gCaches.fullIssueArrayCacheLastPollTime || gCaches.fullIssueArrayCacheLastUpdateTime;
+      lastUpdateDateTimeJQLString = dateformat(lastPollTime, 'yyyy-mm-dd HH:MM');
       jql = jql + ' AND updatedDate > "' + lastUpdateDateTimeJQLString + '"';
     }
 
@@ -207,6 +534,13 @@ function unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssue
 
       console.info(requestId + ": Executing getFullIssueArrayCacheUpdatePromise (maxResults=" + totalResults + ", startAt=" + startAt + ")");
 
+      // Remember which issues have changed so the event log only has to recalculate their events (and only they are
+      // written to the cache store)
+      if (gEventLogChangedIssueIds != null) {
+        jiraRes.issues.forEach((issue) => {gEventLogChangedIssueIds.add(issue.id)});
+      }
+      jiraRes.issues.forEach((issue) => {changedIssueIds.push(issue.id)});
+
       // Update any existing and add any new issues
       let newIssues = jiraRes.issues.filter((issue) => {
         let cacheIndex = binarySearchIssueIndex(gCaches.fullIssueArrayCache, issue.id);
@@ -223,7 +557,7 @@ function unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssue
 
       // If we haven't got all the results yet then keep building the array
       if (startAt + maxResults < totalResults) {
-        return unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssues, startAt + maxResults);
+        return unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssues, startAt + maxResults, changedIssueIds);
       }
 
       if (extraIssues.length > 0) {
@@ -235,10 +569,12 @@ function unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssue
       }
       // Update the cache last update time
       gCaches.fullIssueArrayCacheLastUpdateTime = window.now;
+      gCaches.fullIssueArrayCacheLastPollTime = window.now;
 
-      // Write the updated cache to disk
-      writeCacheToDisk("fullIssueArrayCache");
-      writeCacheToDisk("fullIssueArrayCacheLastUpdateTime");
+      // Write the updated cache to the cache store
+      writeCacheToStore("fullIssueArrayCache", changedIssueIds);
+      writeCacheToStore("fullIssueArrayCacheLastUpdateTime");
+      writeCacheToStore("fullIssueArrayCacheLastPollTime");
       
       return gCaches.fullIssueArrayCache;
     });
@@ -253,6 +589,8 @@ function unsafeGetFullIssueArrayCacheUpdatePromise(requestId, window, extraIssue
  * @param {*} window 
  */
 function getFullEventLogCacheUpdatePromise(requestId, window) {
+  // Don't wait behind a (background) refresh if the snapshot we've already got is recent enough
+  if (!isCacheOutOfDate(gCaches.fullEventLogCacheLastUpdateTime, window)) return Promise.resolve(gCaches.fullEventLogCache);
   return gCacheManagementLock.acquire("fullEventLogCache", () => {
     return unsafeGetFullEventLogCacheUpdatePromise(requestId, window);
   }).then( (result) => {
@@ -262,23 +600,24 @@ function getFullEventLogCacheUpdatePromise(requestId, window) {
 }
 
 function unsafeGetFullEventLogCacheUpdatePromise(requestId, window) {
-
-  let outOfDate = true;
-  if (gCaches.fullEventLogCacheLastUpdateTime != null) {
-    outOfDate = window.to > window.now ? window.now > gCaches.fullEventLogCacheLastUpdateTime : window.to > gCaches.fullEventLogCacheLastUpdateTime;
-  }
-
-  if (outOfDate) {
+  if (isCacheOutOfDate(gCaches.fullEventLogCacheLastUpdateTime, window)) {
     return getFullIssueArrayCacheUpdatePromise(requestId, window).then( (fullIssuesArray) => {
 
-      console.info(requestId + ": Executing getFullEventLogCacheUpdatePromise");
-      gCaches.fullEventLogCache = calculateFullEventLog(fullIssuesArray);
+      let changedIssueIds = gEventLogChangedIssueIds;
+      if (changedIssueIds == null) {
+        console.info(requestId + ": Executing getFullEventLogCacheUpdatePromise (full)");
+        gCaches.fullEventLogCache = calculateFullEventLog(fullIssuesArray);
+      } else {
+        console.info(requestId + ": Executing getFullEventLogCacheUpdatePromise (changedIssues=" + changedIssueIds.size + ")");
+        gCaches.fullEventLogCache = updateEventLogForIssues(gCaches.fullEventLogCache, fullIssuesArray, changedIssueIds);
+      }
       gCaches.fullEventLogCacheLastUpdateTime = gCaches.fullIssueArrayCacheLastUpdateTime;
+      gEventLogChangedIssueIds = new Set();
 
       
-      // Write updated cache to disk
-      writeCacheToDisk("fullEventLogCache");
-      writeCacheToDisk("fullEventLogCacheLastUpdateTime");
+      // Write updated cache to the cache store (all of it after a full recalculation)
+      writeCacheToStore("fullEventLogCache", changedIssueIds);
+      writeCacheToStore("fullEventLogCacheLastUpdateTime");
 
       return gCaches.fullEventLogCache;
     });
@@ -289,16 +628,18 @@ function unsafeGetFullEventLogCacheUpdatePromise(requestId, window) {
 
 /**
  * 
+ * @param {string} cacheKey The key to use for storing the results in the cache (see getVelocityCacheKey)
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
  * @param {*} futureStatuses 
  * @param {*} projectKey 
  * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
  * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ * @return {Promise} Resolves to the velocity cache entry
  */
-function getVelocityCacheUpdatePromise(requestId, window, futureStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize) {
+function getVelocityCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize) {
   return gCacheManagementLock.acquire("velocityCache", () => {
-    return unsafeGetVelocityCacheUpdatePromise(requestId, window, futureStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize);
+    return unsafeGetVelocityCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize);
   }).then( (result) => {
     // lock released
     return result;
@@ -307,23 +648,25 @@ function getVelocityCacheUpdatePromise(requestId, window, futureStatuses, projec
 
 /**
  * 
+ * @param {string} cacheKey The key to use for storing the results in the cache (see getVelocityCacheKey)
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
  * @param {*} futureStatuses 
  * @param {*} projectKey 
  * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
  * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ * @return {Promise} Resolves to the velocity cache entry
  */
-function unsafeGetVelocityCacheUpdatePromise(requestId, window, futureStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize) {
+function unsafeGetVelocityCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize) {
 
-  let outOfDate = gVelocityCacheWindow == null ||
-                    window.to > gVelocityCacheWindow.to || 
-                    window.intervalMs != gVelocityCacheWindow.intervalMs || 
-                  futureStatuses != gVelocityCacheFutureStatuses || 
-                  gVelocityCacheTeamId != teamId ||
-                  gVelocityCacheProjectKey != projectKey ||
-                  gVelocityCacheAddBugsDefault != addBugsDefault ||
-                  gVelocityCacheBugsDefaultSize != bugDefaultSize;
+  let cache = gVelocityCache.get(cacheKey);
+  let outOfDate = true;
+  if (cache != null) {
+    // Check time window - the cached velocities must cover the whole of the requested window at the same interval
+    outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
+    outOfDate = outOfDate || window.from < cache.window.from;
+    outOfDate = outOfDate || window.intervalMs != cache.window.intervalMs;
+  }
 
   if (outOfDate) {
     return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
@@ -378,113 +721,58 @@ function unsafeGetVelocityCacheUpdatePromise(requestId, window, futureStatuses,
       }
 
       // Update the cache so we can quickly retrieve the current velocity
-      gVelocityCache = velocities;
-      gVelocityCacheWindow = window;
-      gVelocityCacheFutureStatuses = futureStatuses;
-      gVelocityCacheProjectKey = projectKey;
-      gVelocityCacheTeamId = teamId;
-      gVelocityCacheAddBugsDefault = addBugsDefault;
-      gVelocityCacheBugsDefaultSize = bugDefaultSize;
+      let updatedCache = {
+        velocities: velocities,
+        window: window,
+        lastUpdateTime: window.now >= window.to ? window.to : window.now
+      };
+      gVelocityCache.delete(cacheKey);
+      gVelocityCache.set(cacheKey, updatedCache);
+      // Evict the least recently used entries (a Map iterates in insertion order)
+      while (gVelocityCache.size > VELOCITY_CACHE_MAX_ENTRIES) {
+        gVelocityCache.delete(gVelocityCache.keys().next().value);
+      }
 
+      return updatedCache;
     });
   } else {
-    return Promise.resolve();
+    // Mark this entry as the most recently used
+    gVelocityCache.delete(cacheKey);
+    gVelocityCache.set(cacheKey, cache);
+    return Promise.resolve(cache);
   }
 }
 
-function getDefectRaiseRateCacheUpdatePromise(requestId, window, futureStatuses, projectKey) {
-  return gCacheManagementLock.acquire("defectRaiseRateCache", () => {
-    return unsafeGetDefectRaiseRateCacheUpdatePromise(requestId, window, futureStatuses, projectKey);
-  }).then( (result) => {
-    // lock released
-    return result;
-  });
+/**
+ * @param {string[]} futureStatuses The statuses that are considered "complete"
+ * @param {string} projectKey 
+ * @param {string} teamId 
+ * @param {boolean} addBugsDefault 
+ * @param {number} bugDefaultSize 
+ * @return {string} The key of the velocity cache entry for these parameters
+ */
+function getVelocityCacheKey(futureStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize) {
+  return futureStatuses.join("|") + "," + projectKey + "," + teamId + "," + addBugsDefault + "," + bugDefaultSize;
 }
 
 /**
  * 
+ * @param {string} cacheKey The key to use for storing the results in the cache (see getDefectRaiseRateCacheKey)
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
- * @param {*} futureStatuses 
+ * @param {string[]} futureStatuses The statuses that are considered "complete" (only used if ratioToPoints is true)
  * @param {*} projectKey 
+ * @param {*} teamId 
+ * @param {string[]} priorities Only bugs with these priorities are counted (all bugs if null)
+ * @param {number} days The number of days in the rolling window
+ * @param {boolean} ratioToPoints if true then the number of bugs raised is divided by the story points delivered in the same period
+ * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
+ * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ * @return {Promise} Resolves to the defect raise rate cache entry
  */
-function unsafeGetDefectRaiseRateCacheUpdatePromise(requestId, window, futureStatuses, projectKey) {
-  // TODO
-  // if (gVelocityCacheWindow == null || window.to > gVelocityCacheWindow.to || window.intervalMs != gVelocityCacheWindow.intervalMs || futureStatuses != gVelocityCacheFutureStatuses || gVelocityCacheProjectKey != projectKey) {
-  //   return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
-
-  //     console.info(requestId + ": Executing getVelocityCacheUpdatePromise (projectKey=" + projectKey + ")");
-
-  //     // Filter out Epics and Initiatives
-  //     let filteredIssueArray = fullIssuesArray.filter((issue) => {
-  //       return issue.fields.issuetype.name != "Initiative" && issue.fields.issuetype.name != "Epic";
-  //     });
-  //     // If we're only interested in a specific project (which is likely) then filter it down further
-  //     if (projectKey != null) {
-  //       filteredIssueArray = filteredIssueArray.filter((issue) => {
-  //         return issue.fields.project.key == projectKey;
-  //       });
-  //     }
-
-  //     // Determine the datetime at which each issue was completed
-  //     let completionEventsMap = getCompletionEvents(getStatusChangesByIssueKeyMap(filteredIssueArray), futureStatuses);
-  //     // Sort the map by time
-  //     let sortedCompletionEvents = completionEventsMap.sort((a, b) => { return a.completionTransitionDateTime - b.completionTransitionDateTime });
-
-  //     // loop through the result, calculating rolling velocity for each issue
-  //     let velocities = [];
-  //     let completedIssueIndex = 0;
-  //     let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
-  //     for (let curDateTime = new Date(window.from); curDateTime <= calcEndDatetime; curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
-
-  //       let twoweeksago = new Date(curDateTime).setDate(curDateTime.getDate() - 14);
-
-  //       for (; completedIssueIndex <= sortedCompletionEvents.length; completedIssueIndex++) {
-  //         let calculateVelocity = false;
-  //         if (completedIssueIndex == sortedCompletionEvents.length) {
-  //           // The current date exceeds the end of the completed issues
-  //           calculateVelocity = true;
-  //         } else {
-  //           const completedIssue = sortedCompletionEvents[completedIssueIndex];
-  //           const dateTime = completedIssue.completionTransitionDateTime;
-  //           if (dateTime > curDateTime) calculateVelocity = true;
-  //         }
-
-  //         let velocity = 0;
-  //         if (calculateVelocity) {
-  //           for (let issueIndex = completedIssueIndex - 1; issueIndex >= 0; issueIndex--) {
-  //             const priorCompletionEvent = sortedCompletionEvents[issueIndex];
-  //             // If it's more than 2 weeks ago, then it doesn't count in the velocity and everything else in the array is older so break out
-  //             if (priorCompletionEvent.completionTransitionDateTime < twoweeksago) break;
-    
-  //             let deltaV = getIssueSize(priorCompletionEvent.issue); 
-  //             if (priorCompletionEvent.transitionType == "regression") {
-  //               // If it's a regression then we subtract it from the velocity
-  //               deltaV = deltaV * -1;
-  //             }
-  //             velocity += deltaV;
-  //           }
-  //           velocities.push([velocity, Math.floor(curDateTime)]);
-  //           break;
-  //         }
-  //       }
-  //     }
-
-  //     // Update the cache so we can quickly retrieve the current velocity
-  //     gVelocityCacheWindow = window;
-  //     gVelocityCacheFutureStatuses = futureStatuses;
-  //     gVelocityCache = velocities;
-  //     gVelocityCacheProjectKey = projectKey;
-
-  //   });
-  // } else {
-  //   return Promise.resolve();
-  // }
-}
-
-function getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint = true, storySize = null, days = 14) {
-  return gCacheManagementLock.acquire("cycleTimeCache", () => {
-    return unsafeGetCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint, storySize, days);
+function getDefectRaiseRateCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, priorities, days, ratioToPoints, addBugsDefault, bugDefaultSize) {
+  return gCacheManagementLock.acquire("defectRaiseRateCache", () => {
+    return unsafeGetDefectRaiseRateCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, priorities, days, ratioToPoints, addBugsDefault, bugDefaultSize);
   }).then( (result) => {
     // lock released
     return result;
@@ -492,102 +780,136 @@ function getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuse
 }
 
 /**
- *
- * @param {string} cacheKey The key to use for storing the results in the cache
+ * 
+ * @param {string} cacheKey The key to use for storing the results in the cache (see getDefectRaiseRateCacheKey)
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
- * @param {*} fromStatuses 
- * @param {*} futureStatuses 
+ * @param {string[]} futureStatuses The statuses that are considered "complete" (only used if ratioToPoints is true)
  * @param {*} projectKey 
+ * @param {*} teamId 
+ * @param {string[]} priorities Only bugs with these priorities are counted (all bugs if null)
+ * @param {number} days The number of days in the rolling window
+ * @param {boolean} ratioToPoints if true then the number of bugs raised is divided by the story points delivered in the same period
+ * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
+ * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ * @return {Promise} Resolves to the defect raise rate cache entry
  */
-function unsafeGetCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint, storySize, days) {
-
+function unsafeGetDefectRaiseRateCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, priorities, days, ratioToPoints, addBugsDefault, bugDefaultSize) {
 
-  let cache = gCycleTimeCache[cacheKey];
+  let cache = gDefectRaiseRateCache.get(cacheKey);
   let outOfDate = true;
   if (cache != null) {
     // Check time window
     outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
-    // Check start status
-    outOfDate = outOfDate || (cache.fromStatuses != fromStatuses);
-    // Check end status
-    outOfDate = outOfDate || (cache.futureStatuses != futureStatuses);
+    outOfDate = outOfDate || window.from < cache.window.from;
+    outOfDate = outOfDate || window.intervalMs != cache.window.intervalMs;
   }
-  if (cache == null || outOfDate) {
 
+  if (outOfDate) {
     return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
 
-      console.info(requestId + ": Executing getCycleTimeCacheUpdatePromise (projectKey=" + projectKey + ", teamId=" + teamId + ", storySize=" + storySize + ")");
+      console.info(requestId + ": Executing getDefectRaiseRateCacheUpdatePromise (projectKey=" + projectKey + ", teamId=" + teamId + ", priorities=" + priorities + ", ratioToPoints=" + ratioToPoints + ")");
 
-      // Filter out issues we don't want (Epics, Initiatives, projects, teams)
+      // Filter out issues we don't want (Epics, Initatives, projects, teams)
       let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
-      if (storySize !== null && storySize !== undefined) {
-        filteredIssueArray = filteredIssueArray.filter((issue) => {
-          return getIssueSize(issue) === storySize;
-        });
+
+      // Get the creation times of the bugs we're interested in, in order
+      let bugCreationTimes = filteredIssueArray.filter((issue) => {
+        return issue.fields.issuetype.name == "Bug" && (priorities == null || (issue.fields.priority != null && priorities.includes(issue.fields.priority.name)));
+      }).map((issue) => {
+        return new Date(issue.fields.created).getTime();
+      }).sort((a, b) => { return a - b });
+
+      // If we're comparing against what's been delivered then determine the time at which each issue was completed, in order
+      let completions = [];
+      if (ratioToPoints) {
+        completions = getCompletionEvents(getStatusChangesByIssueKeyMap(filteredIssueArray), futureStatuses).map((completionEvent) => {
+          let deltaV = getIssueSize(completionEvent.issue, addBugsDefault, bugDefaultSize);
+          return {
+            time: completionEvent.completionTransitionDateTime.getTime(),
+            // Regressions take points back off what's been delivered
+            points: completionEvent.transitionType == "regression" ? -deltaV : deltaV
+          };
+        }).sort((a, b) => { return a.time - b.time });
       }
 
-      // Determine the datetime at which each issue was completed
-      let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(filteredIssueArray);
-      let completionEvents = getCompletionEvents(statusChangesByIssueKeyMap, futureStatuses, true);
-      // Sort the map by time
-      let sortedCompletionEvents = completionEvents.sort((a, b) => { return a.completionTransitionDateTime - b.completionTransitionDateTime });
-      let outputData = [];
-      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
-      let completedIssueIndex = 0;
+      // The rolling window only ever moves forward, so keep running totals of what's in it rather than going through every
+      // bug and completion for each interval. The "in" indexes are of the first after the end of the window, and the "out"
+      // indexes of the first after its start.
+      let bugsInIndex = 0;
+      let bugsOutIndex = 0;
+      let completionsInIndex = 0;
+      let completionsOutIndex = 0;
+      let pointsDelivered = 0;
 
-      const numDays = days || 14;
+      let defectRates = [];
+      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
       for (let curDateTime = new Date(window.from); curDateTime <= calcEndDatetime; curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
-        let startDate = new Date(curDateTime);
-        startDate.setDate(curDateTime.getDate() - numDays)
-
-        // Sort the events by time and loop through the result, calculating rolling cycle time for each issue
-        for (; completedIssueIndex < sortedCompletionEvents.length; completedIssueIndex++) {
-          const completedIssue = sortedCompletionEvents[completedIssueIndex];
-          const completionDate = completedIssue.completionTransitionDateTime;
-          let calculateMetric = (completionDate >= startDate && completionDate <= curDateTime);
 
-          // TODO: LOADS of this code is the same as the velocity calc code - consolidate these
-          // Get the list of issues completed in the last numDays prior to this issue
-          if (calculateMetric) {
-            let issuesCompletedWithinPeriod = [];
-            let endIndex = completedIssueIndex;
-            while(endIndex < sortedCompletionEvents.length && sortedCompletionEvents[endIndex].completionTransitionDateTime <= curDateTime) {
-              issuesCompletedWithinPeriod.push(sortedCompletionEvents[endIndex].issue.key);
-              endIndex++;
-            }
+        let startDate = new Date(curDateTime);
+        startDate.setDate(curDateTime.getDate() - days);
+        let startTime = startDate.getTime();
+        let endTime = curDateTime.getTime();
 
-            // Filter the map by these issues
-            var filteredStatusChangeMap = Object.fromEntries(Object.entries(statusChangesByIssueKeyMap).filter(([k,v]) => {
-              return issuesCompletedWithinPeriod.includes(k);
-            }));
-            // Calculate the average cycle time for these issues
-            let avgCycleTimePerPoint = calculateAverageCycleTimeForIssues(filteredStatusChangeMap, fromStatuses, futureStatuses, curDateTime, averageCycleTimePerPoint);
+        while (bugsInIndex < bugCreationTimes.length && bugCreationTimes[bugsInIndex] <= endTime) bugsInIndex++;
+        while (bugsOutIndex < bugsInIndex && bugCreationTimes[bugsOutIndex] <= startTime) bugsOutIndex++;
+        let bugsRaised = bugsInIndex - bugsOutIndex;
 
-            outputData.push([avgCycleTimePerPoint, Math.floor(curDateTime)]);
-            break;
+        if (ratioToPoints) {
+          for (; completionsInIndex < completions.length && completions[completionsInIndex].time <= endTime; completionsInIndex++) {
+            pointsDelivered += completions[completionsInIndex].points;
+          }
+          for (; completionsOutIndex < completionsInIndex && completions[completionsOutIndex].time <= startTime; completionsOutIndex++) {
+            pointsDelivered -= completions[completionsOutIndex].points;
           }
+          // Nothing delivered means there's no meaningful ratio
+          defectRates.push([pointsDelivered > 0 ? bugsRaised / pointsDelivered : null, Math.floor(curDateTime)]);
+        } else {
+          defectRates.push([bugsRaised, Math.floor(curDateTime)]);
         }
       }
 
       // Update the cache
-      gCycleTimeCache[cacheKey] = {
-        cycleTimes: outputData,
-        fromStatuses: fromStatuses,
-        futureStatuses: futureStatuses,
+      let updatedCache = {
+        defectRates: defectRates,
+        window: window,
         lastUpdateTime: window.now >= window.to ? window.to : window.now
+      };
+      gDefectRaiseRateCache.delete(cacheKey);
+      gDefectRaiseRateCache.set(cacheKey, updatedCache);
+      // Evict the least recently used entries (a Map iterates in insertion order)
+      while (gDefectRaiseRateCache.size > DEFECT_RAISE_RATE_CACHE_MAX_ENTRIES) {
+        gDefectRaiseRateCache.delete(gDefectRaiseRateCache.keys().next().value);
       }
 
+      return updatedCache;
     });
-
   } else {
-    return Promise.resolve();
+    // Mark this entry as the most recently used
+    gDefectRaiseRateCache.delete(cacheKey);
+    gDefectRaiseRateCache.set(cacheKey, cache);
+    return Promise.resolve(cache);
   }
 }
 
-function getScopeAndBurnupCacheUpdatePromise(requestId, window, targetId, isRelease) {
-  return gCacheManagementLock.acquire("scopeAndBurnupCache", () => {
-    return unsafeGetScopeAndBurnupCacheUpdatePromise(requestId, window, targetId, isRelease);
+/**
+ * @param {string[]} futureStatuses The statuses that are considered "complete"
+ * @param {string} projectKey 
+ * @param {string} teamId 
+ * @param {string[]} priorities 
+ * @param {number} days 
+ * @param {boolean} ratioToPoints 
+ * @param {boolean} addBugsDefault 
+ * @param {number} bugDefaultSize 
+ * @return {string} The key of the defect raise rate cache entry for these parameters
+ */
+function getDefectRaiseRateCacheKey(futureStatuses, projectKey, teamId, priorities, days, ratioToPoints, addBugsDefault, bugDefaultSize) {
+  return futureStatuses.join("|") + "," + projectKey + "," + teamId + "," + (priorities == null ? null : priorities.join("|")) + "," + days + "," + ratioToPoints + "," + addBugsDefault + "," + bugDefaultSize;
+}
+
+function getThroughputCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, issueTypes, period, days) {
+  return gCacheManagementLock.acquire("throughputCache", () => {
+    return unsafeGetThroughputCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, issueTypes, period, days);
   }).then( (result) => {
     // lock released
     return result;
@@ -596,71 +918,1154 @@ function getScopeAndBurnupCacheUpdatePromise(requestId, window, targetId, isRele
 
 /**
  * 
+ * @param {string} cacheKey The key to use for storing the results in the cache
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} window 
- * @param {*} targetId 
- * @param {*} isRelease 
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {string[]} futureStatuses The statuses that are considered "complete"
+ * @param {*} projectKey 
+ * @param {*} teamId 
+ * @param {string[]} issueTypes Only tickets of these issue types are counted (all types if null)
+ * @param {string} period 'rolling' for the tickets completed in the days up to each interval, 'week' for the tickets completed in each calendar week (starting Monday)
+ * @param {number} days The number of days in the rolling window (only used if period is 'rolling')
  */
-function unsafeGetScopeAndBurnupCacheUpdatePromise(requestId, window, targetId, isRelease) {
-  let scopeAndBurnupDataCache = isRelease ? gReleaseScopeAndBurnupDataCache[targetId] : gInitiativeScopeAndBurnupDataCache[targetId];
+function unsafeGetThroughputCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, projectKey, teamId, issueTypes, period, days) {
+
+  let cache = gThroughputCache[cacheKey];
   let outOfDate = true;
-  if (scopeAndBurnupDataCache != null) {
-    outOfDate = window.to > window.now ? window.now > scopeAndBurnupDataCache.lastUpdateTime : window.to > scopeAndBurnupDataCache.lastUpdateTime;
+  if (cache != null) {
+    // Check time window
+    outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
+    outOfDate = outOfDate || window.from < cache.window.from;
+    outOfDate = outOfDate || window.intervalMs != cache.window.intervalMs;
   }
-  if (scopeAndBurnupDataCache == null || outOfDate) {
-    return getFullEventLogCacheUpdatePromise(requestId, window).then( (eventLog) => {
 
-      console.info(requestId + ": Executing getScopeAndBurnupCacheUpdatePromise (targetId=" + targetId + ", eventLogLength=" + eventLog.length + ")");
-      calculateScopeAndBurnupTimeseries(window, eventLog, targetId, isRelease);
-    });
+  if (outOfDate) {
+    return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
 
-  } else {
-    return Promise.resolve();
-  }
-}
+      console.info(requestId + ": Executing getThroughputCacheUpdatePromise (projectKey=" + projectKey + ", teamId=" + teamId + ", issueTypes=" + issueTypes + ", period=" + period + ")");
 
-function writeCacheToDisk(cacheName) {
-  var jsonContent = JSON.stringify(gCaches[cacheName]);
+      // Filter out issues we don't want (Epics, Initatives, projects, teams, issue types)
+      let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+      if (issueTypes != null) {
+        filteredIssueArray = filteredIssueArray.filter((issue) => {
+          return issueTypes.includes(issue.fields.issuetype.name);
+        });
+      }
 
-  // Make the caches directory if it doesn't exist already
-  if (!fs.existsSync('./caches')){
-    fs.mkdirSync('./caches');
-  }
-  try {
-    fs.writeFileSync('caches/' + cacheName + '.json', jsonContent, 'utf8');
-  } catch (err) {
-    console.error("Error occurred writing cache to disk: " + cacheName);
-    console.error(err);
-  }
+      // Determine the time at which each issue was completed, in order
+      let completions = getCompletionEvents(getStatusChangesByIssueKeyMap(filteredIssueArray), futureStatuses).map((completionEvent) => {
+        return {
+          time: completionEvent.completionTransitionDateTime.getTime(),
+          // Regressions take tickets back off what's been completed
+          tickets: completionEvent.transitionType == "regression" ? -1 : 1
+        };
+      }).sort((a, b) => { return a.time - b.time });
 
-}
+      // The window only ever moves forward, so keep a running total of what's in it (see
+      // unsafeGetDefectRaiseRateCacheUpdatePromise). The "in" index is of the first completion after the end of the window,
+      // and the "out" index of the first after its start.
+      let completionsInIndex = 0;
+      let completionsOutIndex = 0;
+      let ticketsCompleted = 0;
 
-function readCacheFromDisk(cacheName) {
-  console.info('Reading in cache ' + cacheName);
-  try {
-    var jsonData = fs.readFileSync('caches/' + cacheName + '.json');
-    // Set the global variable holding the cache directly
-    gCaches[cacheName] = JSON.parse(jsonData, JSON.dateParser);
-  } catch (err) {
-    if (err.code != 'ENOENT') {
-      console.error("Error reading cache from disk: " + cacheName);
-      console.error(err);
-    }
+      let throughputs = [];
+      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+      let curDateTime = new Date(window.from);
+      if (period == "week") {
+        // Start at the beginning of the calendar week containing the start of the window
+        curDateTime.setHours(0, 0, 0, 0);
+        curDateTime.setDate(curDateTime.getDate() - ((curDateTime.getDay() + 6) % 7));
+      }
+      for (; curDateTime <= calcEndDatetime; period == "week" ? curDateTime.setDate(curDateTime.getDate() + 7) : curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
+
+        // A calendar week is counted forwards from its start, a rolling window backwards from its end
+        let startDate = new Date(curDateTime);
+        let endDate = new Date(curDateTime);
+        if (period == "week") {
+          endDate.setDate(curDateTime.getDate() + 7);
+        } else {
+          startDate.setDate(curDateTime.getDate() - days);
+        }
+
+        for (; completionsInIndex < completions.length && completions[completionsInIndex].time <= endDate.getTime(); completionsInIndex++) {
+          ticketsCompleted += completions[completionsInIndex].tickets;
+        }
+        for (; completionsOutIndex < completionsInIndex && completions[completionsOutIndex].time <= startDate.getTime(); completionsOutIndex++) {
+          ticketsCompleted -= completions[completionsOutIndex].tickets;
+        }
+        throughputs.push([ticketsCompleted, Math.floor(curDateTime)]);
+      }
+
+      // Update the cache
+      gThroughputCache[cacheKey] = {
+        throughputs: throughputs,
+        window: window,
+        lastUpdateTime: window.now >= window.to ? window.to : window.now
+      }
+
+    });
+  } else {
+    return Promise.resolve();
   }
 }
 
-/* ========================== */
-/* PROMISES                   */
-/* ========================== */
+function getCumulativeFlowCacheUpdatePromise(cacheKey, requestId, window, statuses, valueStream, projectKey, teamId, measure, addBugsDefault, bugDefaultSize) {
+  return gCacheManagementLock.acquire("cumulativeFlowCache", () => {
+    return unsafeGetCumulativeFlowCacheUpdatePromise(cacheKey, requestId, window, statuses, valueStream, projectKey, teamId, measure, addBugsDefault, bugDefaultSize);
+  }).then( (result) => {
+    // lock released
+    return result;
+  });
+}
 
 /**
+ * 
+ * @param {string} cacheKey The key to use for storing the results in the cache
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
- * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
- * @param {*} result The result
- */
-function getPromisesForMetric(requestId, window, target, result) {
-  switch (target.target) {
+ * @param {string[]} statuses The statuses to calculate a series for, in value stream order
+ * @param {{statuses: string[], cancelledStatuses: string[]}} valueStream The value stream the statuses belong to
+ * @param {*} projectKey 
+ * @param {*} teamId 
+ * @param {string} measure 'count' to count the tickets, 'points' to sum their sizes
+ * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
+ * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ */
+function unsafeGetCumulativeFlowCacheUpdatePromise(cacheKey, requestId, window, statuses, valueStream, projectKey, teamId, measure, addBugsDefault, bugDefaultSize) {
+
+  let cache = gCumulativeFlowCache[cacheKey];
+  let outOfDate = true;
+  if (cache != null) {
+    // Check time window
+    outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
+    outOfDate = outOfDate || window.from < cache.window.from;
+    outOfDate = outOfDate || window.intervalMs != cache.window.intervalMs;
+  }
+
+  if (outOfDate) {
+    return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+      console.info(requestId + ": Executing getCumulativeFlowCacheUpdatePromise (projectKey=" + projectKey + ", teamId=" + teamId + ", measure=" + measure + ")");
+
+      // Filter out issues we don't want (Epics, Initatives, projects, teams)
+      let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+      let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(filteredIssueArray);
+
+      let dateTimes = [];
+      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+      for (let curDateTime = new Date(window.from); curDateTime <= calcEndDatetime; curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
+        dateTimes.push(new Date(curDateTime));
+      }
+
+      // Work out which status each issue was in at each point in time and add it to that status and every earlier one
+      let statusIndexes = statuses.map((status) => {return valueStream.statuses.indexOf(status)});
+      let totals = dateTimes.map(() => {return new Array(statuses.length).fill(0)});
+      for (const issueKey in statusChangesByIssueKeyMap) {
+        const issue = statusChangesByIssueKeyMap[issueKey].issue;
+        const statusChanges = statusChangesByIssueKeyMap[issueKey].statusChanges;
+        const created = new Date(issue.fields.created);
+        const size = measure == "points" ? getIssueSize(issue, addBugsDefault, bugDefaultSize) : 1;
+        let changeIndex = 0;
+        dateTimes.forEach((dateTime, dateTimeIndex) => {
+          // It doesn't exist yet
+          if (created > dateTime) return;
+          while (changeIndex < statusChanges.length && statusChanges[changeIndex].datetime <= dateTime) changeIndex++;
+          let status;
+          if (changeIndex > 0) {
+            status = statusChanges[changeIndex-1].toStatus;
+          } else {
+            // No transitions yet, so it's in the status it was created in
+            status = statusChanges.length > 0 ? statusChanges[0].fromStatus : issue.fields.status.name;
+          }
+          // Cancelled tickets have left the flow
+          if (valueStream.cancelledStatuses.includes(status)) return;
+          let issueStatusIndex = valueStream.statuses.indexOf(status);
+          statusIndexes.forEach((statusIndex, i) => {
+            if (issueStatusIndex >= statusIndex) totals[dateTimeIndex][i] += size;
+          });
+        });
+      }
+
+      let flows = {};
+      statuses.forEach((status, i) => {
+        flows[status] = dateTimes.map((dateTime, dateTimeIndex) => {return [totals[dateTimeIndex][i], Math.floor(dateTime)]});
+      });
+
+      // Update the cache
+      gCumulativeFlowCache[cacheKey] = {
+        flows: flows,
+        window: window,
+        lastUpdateTime: window.now >= window.to ? window.to : window.now
+      }
+
+    });
+  } else {
+    return Promise.resolve();
+  }
+}
+
+function getWIPCacheUpdatePromise(cacheKey, requestId, window, statuses, projectKey, teamId, measure, addBugsDefault, bugDefaultSize) {
+  return gCacheManagementLock.acquire("wipCache", () => {
+    return unsafeGetWIPCacheUpdatePromise(cacheKey, requestId, window, statuses, projectKey, teamId, measure, addBugsDefault, bugDefaultSize);
+  }).then( (result) => {
+    // lock released
+    return result;
+  });
+}
+
+/**
+ * 
+ * @param {string} cacheKey The key to use for storing the results in the cache
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {string[]} statuses The statuses to calculate a series for
+ * @param {*} projectKey 
+ * @param {*} teamId 
+ * @param {string} measure 'count' to count the tickets, 'points' to sum their sizes
+ * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
+ * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ */
+function unsafeGetWIPCacheUpdatePromise(cacheKey, requestId, window, statuses, projectKey, teamId, measure, addBugsDefault, bugDefaultSize) {
+
+  let cache = gWIPCache[cacheKey];
+  let outOfDate = true;
+  if (cache != null) {
+    // Check time window
+    outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
+    outOfDate = outOfDate || window.from < cache.window.from;
+    outOfDate = outOfDate || window.intervalMs != cache.window.intervalMs;
+  }
+
+  if (outOfDate) {
+    return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+      console.info(requestId + ": Executing getWIPCacheUpdatePromise (projectKey=" + projectKey + ", teamId=" + teamId + ", measure=" + measure + ")");
+
+      // Filter out issues we don't want (Epics, Initatives, projects, teams)
+      let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+      let statusChanges = getStatusChangesList(filteredIssueArray);
+
+      // Each issue is created in the status it first transitions out of (or its current status if it's never moved)
+      let initialStatuses = {};
+      statusChanges.forEach((statusChange) => {
+        if (!(statusChange.issue.key in initialStatuses)) initialStatuses[statusChange.issue.key] = statusChange.fromStatus;
+      });
+      let creations = filteredIssueArray.map((issue) => {
+        return {issue: issue, fromStatus: null, toStatus: initialStatuses[issue.key] || issue.fields.status.name, datetime: new Date(issue.fields.created)};
+      });
+      // Creations go first if they happen at the same time as a transition (the sort is stable)
+      let events = creations.concat(statusChanges).sort((a, b) => { return a.datetime - b.datetime });
+
+      // Step through the events, keeping track of the status each issue is in and the total in each status
+      let wips = {};
+      let totals = {};
+      statuses.forEach((status) => {
+        wips[status] = [];
+        totals[status] = 0;
+      });
+      let currentStatuses = {};
+      let eventIndex = 0;
+      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+      for (let curDateTime = new Date(window.from); curDateTime <= calcEndDatetime; curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
+
+        for (; eventIndex < events.length && events[eventIndex].datetime <= curDateTime; eventIndex++) {
+          const event = events[eventIndex];
+          const size = measure == "points" ? getIssueSize(event.issue, addBugsDefault, bugDefaultSize) : 1;
+          const previousStatus = currentStatuses[event.issue.key];
+          if (previousStatus in totals) totals[previousStatus] -= size;
+          if (event.toStatus in totals) totals[event.toStatus] += size;
+          currentStatuses[event.issue.key] = event.toStatus;
+        }
+
+        statuses.forEach((status) => {
+          wips[status].push([totals[status], Math.floor(curDateTime)]);
+        });
+      }
+
+      // Update the cache
+      gWIPCache[cacheKey] = {
+        wips: wips,
+        window: window,
+        lastUpdateTime: window.now >= window.to ? window.to : window.now
+      }
+
+    });
+  } else {
+    return Promise.resolve();
+  }
+}
+
+function getTimeInStatusCacheUpdatePromise(cacheKey, requestId, window, statuses, fromStatuses, futureStatuses, projectKey, teamId, days, activeStatuses) {
+  return gCacheManagementLock.acquire("timeInStatusCache", () => {
+    return unsafeGetTimeInStatusCacheUpdatePromise(cacheKey, requestId, window, statuses, fromStatuses, futureStatuses, projectKey, teamId, days, activeStatuses);
+  }).then( (result) => {
+    // lock released
+    return result;
+  });
+}
+
+/**
+ * 
+ * @param {string} cacheKey The key to use for storing the results in the cache
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {string[]} statuses The statuses to calculate a time in status series for
+ * @param {string[]} fromStatuses When a ticket leaves these statuses, the cycle-time clock starts
+ * @param {string[]} futureStatuses When a ticket enters these statuses, the cycle-time clock stops
+ * @param {*} projectKey 
+ * @param {*} teamId 
+ * @param {number} days The number of days in the rolling window
+ * @param {string[]} activeStatuses The statuses in which a ticket is being actively worked on (rather than waiting)
+ */
+function unsafeGetTimeInStatusCacheUpdatePromise(cacheKey, requestId, window, statuses, fromStatuses, futureStatuses, projectKey, teamId, days, activeStatuses) {
+
+  let cache = gTimeInStatusCache[cacheKey];
+  let outOfDate = true;
+  if (cache != null) {
+    // Check time window
+    outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
+    outOfDate = outOfDate || window.from < cache.window.from;
+    outOfDate = outOfDate || window.intervalMs != cache.window.intervalMs;
+  }
+
+  if (outOfDate) {
+    return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+      console.info(requestId + ": Executing getTimeInStatusCacheUpdatePromise (projectKey=" + projectKey + ", teamId=" + teamId + ", days=" + days + ")");
+
+      // Filter out issues we don't want (Epics, Initatives, projects, teams)
+      let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+
+      // Split the cycle time of each completion into the time spent in each status
+      let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(filteredIssueArray);
+      let completions = getCompletionEvents(statusChangesByIssueKeyMap, futureStatuses, true).map((completionEvent) => {
+        const statusChanges = statusChangesByIssueKeyMap[completionEvent.issue.key].statusChanges;
+        return {
+          completionTransitionDateTime: completionEvent.completionTransitionDateTime,
+          timesInStatus: calculateTimeInStatuses(statusChanges, fromStatuses, futureStatuses, completionEvent.completionTransitionDateTime)
+        };
+      }).sort((a, b) => { return a.completionTransitionDateTime - b.completionTransitionDateTime });
+
+      // The rolling window only ever moves forward, so rather than going through every completion for each interval keep
+      // the index of the first completion after the end of the window ("in") and the first after its start ("out")
+      let completionsInIndex = 0;
+      let completionsOutIndex = 0;
+
+      let timesInStatus = {};
+      statuses.forEach((status) => {
+        timesInStatus[status] = [];
+      });
+      let flowEfficiencies = [];
+      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+      for (let curDateTime = new Date(window.from); curDateTime <= calcEndDatetime; curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
+
+        let startDate = new Date(curDateTime);
+        startDate.setDate(curDateTime.getDate() - days);
+
+        while (completionsInIndex < completions.length && completions[completionsInIndex].completionTransitionDateTime <= curDateTime) completionsInIndex++;
+        while (completionsOutIndex < completionsInIndex && completions[completionsOutIndex].completionTransitionDateTime <= startDate) completionsOutIndex++;
+
+        // Total up the time spent in each status by the tickets completed in the window
+        let totalTimesInStatus = {};
+        let ticketsCompleted = completionsInIndex - completionsOutIndex;
+        completions.slice(completionsOutIndex, completionsInIndex).forEach((completion) => {
+          for (const status in completion.timesInStatus) {
+            totalTimesInStatus[status] = (totalTimesInStatus[status] || 0) + completion.timesInStatus[status];
+          }
+        });
+
+        // Average time in each status, and the proportion of the total that was spent in active statuses
+        statuses.forEach((status) => {
+          timesInStatus[status].push([ticketsCompleted > 0 ? (totalTimesInStatus[status] || 0) / ticketsCompleted : null, Math.floor(curDateTime)]);
+        });
+        let totalTime = 0;
+        let activeTime = 0;
+        for (const status in totalTimesInStatus) {
+          totalTime += totalTimesInStatus[status];
+          if (activeStatuses.includes(status)) activeTime += totalTimesInStatus[status];
+        }
+        flowEfficiencies.push([totalTime > 0 ? activeTime / totalTime * 100 : null, Math.floor(curDateTime)]);
+      }
+
+      // Update the cache
+      gTimeInStatusCache[cacheKey] = {
+        timesInStatus: timesInStatus,
+        flowEfficiencies: flowEfficiencies,
+        window: window,
+        lastUpdateTime: window.now >= window.to ? window.to : window.now
+      }
+
+    });
+  } else {
+    return Promise.resolve();
+  }
+}
+
+function getReworkRateCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, valueStream, projectKey, teamId, days) {
+  return gCacheManagementLock.acquire("reworkRateCache", () => {
+    return unsafeGetReworkRateCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, valueStream, projectKey, teamId, days);
+  }).then( (result) => {
+    // lock released
+    return result;
+  });
+}
+
+/**
+ * 
+ * @param {string} cacheKey The key to use for storing the results in the cache
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {string[]} futureStatuses The statuses that are considered "complete"
+ * @param {{statuses: string[], cancelledStatuses: string[]}} valueStream The value stream that defines which moves are backwards
+ * @param {*} projectKey 
+ * @param {*} teamId 
+ * @param {number} days The number of days in the rolling window
+ */
+function unsafeGetReworkRateCacheUpdatePromise(cacheKey, requestId, window, futureStatuses, valueStream, projectKey, teamId, days) {
+
+  let cache = gReworkRateCache[cacheKey];
+  let outOfDate = true;
+  if (cache != null) {
+    // Check time window
+    outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
+    outOfDate = outOfDate || window.from < cache.window.from;
+    outOfDate = outOfDate || window.intervalMs != cache.window.intervalMs;
+  }
+
+  if (outOfDate) {
+    return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+      console.info(requestId + ": Executing getReworkRateCacheUpdatePromise (projectKey=" + projectKey + ", teamId=" + teamId + ", days=" + days + ")");
+
+      // Filter out issues we don't want (Epics, Initatives, projects, teams)
+      let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+
+      let backwardMoveDateTimes = getBackwardMoves(filteredIssueArray, valueStream).map((backwardMove) => {
+        return backwardMove.datetime;
+      }).sort((a, b) => { return a - b });
+      let completionEvents = getCompletionEvents(getStatusChangesByIssueKeyMap(filteredIssueArray), futureStatuses);
+      // The times each ticket regressed out of a completed status, so each completion can be checked without searching every event
+      let regressionDateTimesByIssueKey = {};
+      completionEvents.forEach((completionEvent) => {
+        if (completionEvent.transitionType == "regression") {
+          let issueKey = completionEvent.issue.key;
+          if (regressionDateTimesByIssueKey[issueKey] == null) regressionDateTimesByIssueKey[issueKey] = [];
+          regressionDateTimesByIssueKey[issueKey].push(completionEvent.completionTransitionDateTime);
+        }
+      });
+      let completions = completionEvents.filter((completionEvent) => {
+        return completionEvent.transitionType == "completion";
+      }).sort((a, b) => { return a.completionTransitionDateTime - b.completionTransitionDateTime });
+
+      // The rolling window only ever moves forward, so rather than going through every backward move and completion for
+      // each interval keep the index of the first after the end of the window ("in") and the first after its start ("out")
+      let backwardMovesInIndex = 0;
+      let backwardMovesOutIndex = 0;
+      let completionsInIndex = 0;
+      let completionsOutIndex = 0;
+
+      let backwardMoveCounts = [];
+      let regressedPercentages = [];
+      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+      for (let curDateTime = new Date(window.from); curDateTime <= calcEndDatetime; curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
+
+        let startDate = new Date(curDateTime);
+        startDate.setDate(curDateTime.getDate() - days);
+
+        while (backwardMovesInIndex < backwardMoveDateTimes.length && backwardMoveDateTimes[backwardMovesInIndex] <= curDateTime) backwardMovesInIndex++;
+        while (backwardMovesOutIndex < backwardMovesInIndex && backwardMoveDateTimes[backwardMovesOutIndex] <= startDate) backwardMovesOutIndex++;
+        backwardMoveCounts.push([backwardMovesInIndex - backwardMovesOutIndex, Math.floor(curDateTime)]);
+
+        // Of the tickets completed in the window, how many have regressed out of a completed status since (up to this point in time)
+        while (completionsInIndex < completions.length && completions[completionsInIndex].completionTransitionDateTime <= curDateTime) completionsInIndex++;
+        while (completionsOutIndex < completionsInIndex && completions[completionsOutIndex].completionTransitionDateTime <= startDate) completionsOutIndex++;
+        let completionsInWindow = completions.slice(completionsOutIndex, completionsInIndex);
+        let regressedCompletions = completionsInWindow.filter((completion) => {
+          return (regressionDateTimesByIssueKey[completion.issue.key] || []).some((regressionDateTime) => {
+            return regressionDateTime > completion.completionTransitionDateTime && regressionDateTime <= curDateTime;
+          });
+        });
+        // Nothing completed means there's no meaningful percentage
+        regressedPercentages.push([completionsInWindow.length > 0 ? regressedCompletions.length / completionsInWindow.length * 100 : null, Math.floor(curDateTime)]);
+      }
+
+      // Update the cache
+      gReworkRateCache[cacheKey] = {
+        backwardMoves: backwardMoveCounts,
+        regressedPercentages: regressedPercentages,
+        window: window,
+        lastUpdateTime: window.now >= window.to ? window.to : window.now
+      }
+
+    });
+  } else {
+    return Promise.resolve();
+  }
+}
+
+function getSprintVelocityCacheUpdatePromise(cacheKey, requestId, window, boardId, futureStatuses, addBugsDefault, bugDefaultSize) {
+  return gCacheManagementLock.acquire("sprintVelocityCache", () => {
+    return unsafeGetSprintVelocityCacheUpdatePromise(cacheKey, requestId, window, boardId, futureStatuses, addBugsDefault, bugDefaultSize);
+  }).then( (result) => {
+    // lock released
+    return result;
+  });
+}
+
+/**
+ * 
+ * @param {string} cacheKey The key to use for storing the results in the cache
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {number} boardId The JIRA agile board ID
+ * @param {string[]} futureStatuses The statuses that are considered "complete"
+ * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
+ * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ */
+function unsafeGetSprintVelocityCacheUpdatePromise(cacheKey, requestId, window, boardId, futureStatuses, addBugsDefault, bugDefaultSize) {
+
+  let cache = gSprintVelocityCache[cacheKey];
+  let outOfDate = true;
+  if (cache != null) {
+    // Check time window
+    outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
+  }
+
+  if (outOfDate) {
+    return Promise.all([getFullEventLogCacheUpdatePromise(requestId, window), getSprintsForBoardPromise(requestId, boardId)]).then(([eventLog, sprints]) => {
+      return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {return [fullIssuesArray, eventLog, sprints]});
+    }).then(([fullIssuesArray, eventLog, sprints]) => {
+
+      console.info(requestId + ": Executing getSprintVelocityCacheUpdatePromise (boardId=" + boardId + ", sprints=" + sprints.length + ")");
+
+      // Only issues that have been in a sprint are of interest
+      let sprintIssueArray = filterOutIssues(fullIssuesArray, null, null).filter((issue) => {
+        return getSprintIdsAt(issue, null).length > 0 || issue.changelog.histories.some((history) => {
+          return history.items.some((item) => {return item.fieldId == getFieldId('sprint')});
+        });
+      });
+      let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(sprintIssueArray);
+      let sizeEventsByIssueId = getSizeEventsByIssueId(sprintIssueArray, eventLog);
+
+      let sprintVelocities = sprints.map((sprint) => {
+        // Committed is what was in the sprint when it started (at the size it was then), completed is what was done and
+        // still in it when it ended (at the size it was when it ended)
+        let startDate = new Date(sprint.startDate);
+        let endDate = sprint.state == "closed" ? new Date(sprint.completeDate || sprint.endDate) : new Date(window.now);
+        let committed = 0;
+        let completed = 0;
+        sprintIssueArray.forEach((issue) => {
+          if (getSprintIdsAt(issue, startDate).includes(sprint.id)) {
+            committed += getIssueSizeAt(issue, sizeEventsByIssueId[issue.id], startDate, addBugsDefault, bugDefaultSize);
+          }
+          if (getSprintIdsAt(issue, endDate).includes(sprint.id) && futureStatuses.includes(getStatusAt(issue, statusChangesByIssueKeyMap[issue.key].statusChanges, endDate))) {
+            completed += getIssueSizeAt(issue, sizeEventsByIssueId[issue.id], endDate, addBugsDefault, bugDefaultSize);
+          }
+        });
+        return {sprint: sprint, committed: committed, completed: completed};
+      });
+
+      // Update the cache
+      gSprintVelocityCache[cacheKey] = {
+        sprintVelocities: sprintVelocities,
+        lastUpdateTime: window.now >= window.to ? window.to : window.now
+      }
+
+    });
+  } else {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Gets all of the active and closed sprints for a board from JIRA
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {number} boardId The JIRA agile board ID
+ * @param {Object[]} sprints The sprints found so far (for handling paginated responses)
+ * @param {number} startAt The result number to start at (for handling paginated responses)
+ * @return {Promise} Resolves to the array of JIRA sprint objects
+ */
+function getSprintsForBoardPromise(requestId, boardId, sprints = [], startAt = 0) {
+
+  return gJira.board.getSprintsForBoard({boardId: boardId, startAt: startAt, state: 'active,closed'}).then((jiraRes) => {
+
+    console.info(requestId + ": Executing getSprintsForBoardPromise (boardId=" + boardId + ", startAt=" + startAt + ")");
+    Array.prototype.push.apply(sprints, jiraRes.values);
+
+    // If we haven't got all the results yet then keep building the array
+    if (!jiraRes.isLast && jiraRes.values.length > 0) {
+      return getSprintsForBoardPromise(requestId, boardId, sprints, startAt + jiraRes.values.length);
+    }
+    return sprints;
+  });
+
+}
+
+function getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint = true, storySize = null, days = 14, statistic = "mean") {
+  return gCacheManagementLock.acquire("cycleTimeCache", () => {
+    return unsafeGetCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint, storySize, days, statistic);
+  }).then( (result) => {
+    // lock released
+    return result;
+  });
+}
+
+/**
+ *
+ * @param {string} cacheKey The key to use for storing the results in the cache
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {*} fromStatuses 
+ * @param {*} futureStatuses 
+ * @param {*} projectKey 
+ * @param {string} statistic The statistic to calculate from the cycle times in each period (see calculateStatistic)
+ */
+function unsafeGetCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint, storySize, days, statistic) {
+
+
+  let cache = gCycleTimeCache[cacheKey];
+  let outOfDate = true;
+  if (cache != null) {
+    // Check time window
+    outOfDate = window.to > window.now ? window.now > cache.lastUpdateTime : window.to > cache.lastUpdateTime;
+    // Check start status
+    outOfDate = outOfDate || (cache.fromStatuses != fromStatuses);
+    // Check end status
+    outOfDate = outOfDate || (cache.futureStatuses != futureStatuses);
+  }
+  if (cache == null || outOfDate) {
+
+    return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+      console.info(requestId + ": Executing getCycleTimeCacheUpdatePromise (projectKey=" + projectKey + ", teamId=" + teamId + ", storySize=" + storySize + ", statistic=" + statistic + ")");
+
+      // Filter out issues we don't want (Epics, Initiatives, projects, teams)
+      let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+      if (storySize !== null && storySize !== undefined) {
+        filteredIssueArray = filteredIssueArray.filter((issue) => {
+          return getIssueSize(issue) === storySize;
+        });
+      }
+
+      // Determine the datetime at which each issue was completed
+      let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(filteredIssueArray);
+      let completionEvents = getCompletionEvents(statusChangesByIssueKeyMap, futureStatuses, true);
+      // Sort the map by time
+      let sortedCompletionEvents = completionEvents.sort((a, b) => { return a.completionTransitionDateTime - b.completionTransitionDateTime });
+      let outputData = [];
+      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+      let completedIssueIndex = 0;
+
+      const numDays = days || 14;
+      for (let curDateTime = new Date(window.from); curDateTime <= calcEndDatetime; curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
+        let startDate = new Date(curDateTime);
+        startDate.setDate(curDateTime.getDate() - numDays)
+
+        // Sort the events by time and loop through the result, calculating rolling cycle time for each issue
+        for (; completedIssueIndex < sortedCompletionEvents.length; completedIssueIndex++) {
+          const completedIssue = sortedCompletionEvents[completedIssueIndex];
+          const completionDate = completedIssue.completionTransitionDateTime;
+          let calculateMetric = (completionDate >= startDate && completionDate <= curDateTime);
+
+          // TODO: LOADS of this code is the same as the velocity calc code - consolidate these
+          // Get the list of issues completed in the last numDays prior to this issue
+          if (calculateMetric) {
+            let issuesCompletedWithinPeriod = [];
+            let endIndex = completedIssueIndex;
+            while(endIndex < sortedCompletionEvents.length && sortedCompletionEvents[endIndex].completionTransitionDateTime <= curDateTime) {
+              issuesCompletedWithinPeriod.push(sortedCompletionEvents[endIndex].issue.key);
+              endIndex++;
+            }
+
+            // Filter the map by these issues
+            var filteredStatusChangeMap = Object.fromEntries(Object.entries(statusChangesByIssueKeyMap).filter(([k,v]) => {
+              return issuesCompletedWithinPeriod.includes(k);
+            }));
+            // Calculate the cycle time statistic (e.g. the average) for these issues
+            let cycleTimeStatistic = calculateCycleTimeStatisticForIssues(filteredStatusChangeMap, fromStatuses, futureStatuses, curDateTime, averageCycleTimePerPoint, statistic);
+
+            outputData.push([cycleTimeStatistic, Math.floor(curDateTime)]);
+            break;
+          } else if (completionDate > curDateTime) {
+            // Nothing completed within this period - leave this issue for the next one
+            break;
+          }
+        }
+      }
+
+      // Update the cache
+      gCycleTimeCache[cacheKey] = {
+        cycleTimes: outputData,
+        fromStatuses: fromStatuses,
+        futureStatuses: futureStatuses,
+        lastUpdateTime: window.now >= window.to ? window.to : window.now
+      }
+
+    });
+
+  } else {
+    return Promise.resolve();
+  }
+}
+
+function getScopeAndBurnupCacheUpdatePromise(cacheKey, requestId, window, targetId, isRelease, resolutions) {
+  return gCacheManagementLock.acquire("scopeAndBurnupCache", () => {
+    return unsafeGetScopeAndBurnupCacheUpdatePromise(cacheKey, requestId, window, targetId, isRelease, resolutions);
+  }).then( (result) => {
+    // lock released
+    return result;
+  });
+}
+
+/**
+ * 
+ * @param {string} cacheKey The key to use for storing the results in the cache (see getScopeAndBurnupCacheKey)
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} window 
+ * @param {*} targetId 
+ * @param {*} isRelease 
+ * @param {{done: string[], cancelled: string[]}} resolutions The resolutions that mean an issue is done or cancelled
+ */
+function unsafeGetScopeAndBurnupCacheUpdatePromise(cacheKey, requestId, window, targetId, isRelease, resolutions) {
+  let scopeAndBurnupDataCache = isRelease ? gReleaseScopeAndBurnupDataCache[cacheKey] : gInitiativeScopeAndBurnupDataCache[cacheKey];
+  let outOfDate = true;
+  if (scopeAndBurnupDataCache != null) {
+    outOfDate = window.to > window.now ? window.now > scopeAndBurnupDataCache.lastUpdateTime : window.to > scopeAndBurnupDataCache.lastUpdateTime;
+  }
+  if (scopeAndBurnupDataCache == null || outOfDate) {
+    return getFullEventLogCacheUpdatePromise(requestId, window).then( (eventLog) => {
+
+      console.info(requestId + ": Executing getScopeAndBurnupCacheUpdatePromise (targetId=" + targetId + ", eventLogLength=" + eventLog.length + ")");
+      calculateScopeAndBurnupTimeseries(cacheKey, window, eventLog, targetId, isRelease, resolutions);
+    });
+
+  } else {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Writes a cache to the cache store. Writes of the same cache are queued behind each other so an older value can never
+ * overwrite a newer one. Errors are logged rather than thrown - the in memory cache is still up to date.
+ * 
+ * The cache is copied as it is now, as it can carry on changing while earlier writes finish. Issues in the issue array
+ * cache are replaced rather than changed in place (see tombstoneIssue), so copying the array is enough.
+ * 
+ * @param {string} cacheName The name of the cache in gCaches
+ * @param {Iterable<string>} changedIssueIds For the issue array and event log caches, the IDs of the issues that have changed since the last write (all of them if not given)
+ * @return {Promise} Resolves once the cache has been written (or the write has failed)
+ */
+function writeCacheToStore(cacheName, changedIssueIds) {
+  let value = Array.isArray(gCaches[cacheName]) ? gCaches[cacheName].slice() : gCaches[cacheName];
+  let changedIssueIdArray = changedIssueIds != null ? Array.from(changedIssueIds) : undefined;
+  let previousWritePromise = gCacheStoreWritePromises[cacheName] || Promise.resolve();
+  gCacheStoreWritePromises[cacheName] = previousWritePromise.then(() => {
+    return gCacheStore.write(cacheName, value, changedIssueIdArray);
+  }).catch((err) => {
+    console.error("Error occurred writing cache to the cache store: " + cacheName);
+    console.error(err);
+  });
+  return gCacheStoreWritePromises[cacheName];
+}
+
+/**
+ * Reads a cache in from the cache store, leaving the empty cache in place if nothing has been stored yet or it can't be read.
+ * 
+ * @param {string} cacheName The name of the cache in gCaches
+ * @return {Promise} Resolves once the cache has been read (or the read has failed)
+ */
+function readCacheFromStore(cacheName) {
+  console.info('Reading in cache ' + cacheName);
+  return gCacheStore.read(cacheName).then((value) => {
+    // Set the global variable holding the cache directly
+    if (value !== undefined) gCaches[cacheName] = value;
+  }).catch((err) => {
+    console.error("Error reading cache from the cache store: " + cacheName);
+    console.error(err);
+  });
+}
+
+/**
+ * Reads the issue array cache (and the event log cache, if it's for the same snapshot) back in from the cache store if
+ * another instance of the service has updated it since this one last did. Only stores shared between instances (see
+ * createCacheStore) are checked. Must be called holding the issue array cache lock.
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @return {Promise} Resolves once the caches are at least as up to date as the stored ones (it never rejects - errors are logged)
+ */
+function reloadCachesFromStore(requestId) {
+  if (!gCacheStore.shared) return Promise.resolve();
+
+  return gCacheStore.read("fullIssueArrayCacheLastUpdateTime").then((storedLastUpdateTime) => {
+    if (storedLastUpdateTime == null) return;
+    if (gCaches.fullIssueArrayCacheLastUpdateTime != null && storedLastUpdateTime <= gCaches.fullIssueArrayCacheLastUpdateTime) return;
+
+    console.info(requestId + ": Reading in the caches updated by another instance (lastUpdateTime=" + storedLastUpdateTime.toISOString() + ")");
+    return Promise.all([
+      gCacheStore.read("fullIssueArrayCache"),
+      gCacheStore.read("fullIssueArrayCacheLastPollTime"),
+      gCacheStore.read("fullEventLogCacheLastUpdateTime")
+    ]).then(([issues, lastPollTime, eventLogLastUpdateTime]) => {
+      gCaches.fullIssueArrayCache = issues || [];
+      gCaches.fullIssueArrayCacheLastUpdateTime = storedLastUpdateTime;
+      gCaches.fullIssueArrayCacheLastPollTime = lastPollTime || null;
+
+      if (eventLogLastUpdateTime != null && eventLogLastUpdateTime.getTime() == storedLastUpdateTime.getTime()) {
+        return gCacheStore.read("fullEventLogCache").then((eventLog) => {
+          gCaches.fullEventLogCache = eventLog || [];
+          gCaches.fullEventLogCacheLastUpdateTime = eventLogLastUpdateTime;
+          gEventLogChangedIssueIds = new Set();
+        });
+      }
+      // The stored event log isn't for these issues, so work it out again
+      gCaches.fullEventLogCacheLastUpdateTime = null;
+      gEventLogChangedIssueIds = null;
+    });
+  }).catch((err) => {
+    console.error(requestId + ": Error reading the caches back in from the cache store");
+    console.error(err);
+  });
+}
+
+/**
+ * 
+ * @param {Date} lastUpdateTime The last time the cache was updated (null if it never has been)
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window data is wanted in
+ * @return {boolean} true if the cache needs updating before it can provide data for the window
+ */
+function isCacheOutOfDate(lastUpdateTime, window) {
+  if (lastUpdateTime == null) return true;
+  return window.to > window.now ? window.now > lastUpdateTime : window.to > lastUpdateTime;
+}
+
+/**
+ * Refreshes the issue array and event log caches from JIRA, then re-runs the recent queries so that the derived caches
+ * (velocity, cycle time etc.) are recalculated from the new snapshot before anyone asks for them. Queries carry on being
+ * answered as of the previous snapshot (gSnapshotTime), which the derived caches already cover, until the recent queries
+ * have been re-run - so at most they wait for the one calculation the refresh is doing. If a refresh is already running
+ * then another one is run once it has finished.
+ * 
+ * @return {Promise} Resolves once the refresh has finished (it never rejects - errors are logged)
+ */
+function refreshCaches() {
+  if (gRefreshInProgress) {
+    console.info("Background refresh queued: the previous refresh is still running");
+    gRefreshPending = true;
+    return Promise.resolve();
+  }
+  gRefreshInProgress = true;
+
+  let requestId = "Refresh" + (++gRefreshCount);
+  let now = new Date();
+  let window = {now: now, from: now, to: now, intervalMs: 0, maxDataPoints: 0};
+  console.info(requestId + ": Refreshing caches in the background");
+
+  return getFullIssueArrayCacheUpdatePromise(requestId, window).then(() => {
+    return getFullEventLogCacheUpdatePromise(requestId, window);
+  }).then(() => {
+    // Forget queries nobody has asked for in a while
+    gRefreshQueries.forEach((query, queryKey) => {
+      if (now - query.lastRequested > REFRESH_QUERY_EXPIRY_MS) gRefreshQueries.delete(queryKey);
+    });
+
+    // Re-run the recent queries one at a time, each as of the snapshot that's just been taken
+    return Array.from(gRefreshQueries.values()).reduce((previousPromise, query) => {
+      return previousPromise.then(() => {
+        let queryWindow = {
+          now: now,
+          from: new Date(now.getTime() - query.durationMs),
+          to: now,
+          intervalMs: query.intervalMs,
+          maxDataPoints: query.maxDataPoints
+        };
+        return Promise.all(query.targets.map((target) => {
+          return Promise.resolve().then(() => {
+            return getPromisesForMetric(requestId, queryWindow, target, []);
+          }).then((ps) => {
+            return Array.isArray(ps) ? Promise.all(ps) : ps;
+          }).catch((err) => {
+            console.error(requestId + ": Error refreshing " + target.target + " in the background");
+            console.error(err);
+          });
+        }));
+      });
+    }, Promise.resolve());
+  }).catch((err) => {
+    console.error(requestId + ": Error refreshing caches in the background");
+    console.error(err);
+  }).then(() => {
+    // Answer queries from the new snapshot (or as much of it as could be refreshed)
+    gSnapshotTime = getLatestSnapshotTime();
+    console.info(requestId + ": Finished refreshing caches in the background");
+    gRefreshInProgress = false;
+    if (gRefreshPending) {
+      gRefreshPending = false;
+      return refreshCaches();
+    }
+  });
+}
+
+/**
+ * @return {Date} The time that both the issue array and event log caches are up to date as of (just the issue array cache
+ * if the event log hasn't been calculated), or null if nothing has been cached yet
+ */
+function getLatestSnapshotTime() {
+  if (gCaches.fullIssueArrayCacheLastUpdateTime == null) return null;
+  if (gCaches.fullEventLogCacheLastUpdateTime == null) return new Date(gCaches.fullIssueArrayCacheLastUpdateTime);
+  return new Date(Math.min(gCaches.fullIssueArrayCacheLastUpdateTime, gCaches.fullEventLogCacheLastUpdateTime));
+}
+
+/**
+ * Remembers a query so that the background refresh can re-run it (as of each new snapshot) to keep the derived caches it
+ * uses warm. Only the most recent REFRESH_MAX_QUERIES distinct queries are remembered.
+ * 
+ * @param {*} body The body of the /query request from Grafana
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window the query asked for
+ */
+function recordQueryForRefresh(body, window) {
+  let durationMs = window.to.getTime() - window.from.getTime();
+  let queryKey = JSON.stringify(body.targets) + "," + durationMs + "," + window.intervalMs;
+  // Re-insert so the map stays in least recently requested order
+  gRefreshQueries.delete(queryKey);
+  gRefreshQueries.set(queryKey, {
+    targets: body.targets,
+    durationMs: durationMs,
+    intervalMs: window.intervalMs,
+    maxDataPoints: window.maxDataPoints,
+    lastRequested: window.now
+  });
+  if (gRefreshQueries.size > gRefreshMaxQueries) {
+    gRefreshQueries.delete(gRefreshQueries.keys().next().value);
+  }
+}
+
+/**
+ * Checks that a JIRA webhook request carries the shared secret, either as the "secret" query parameter in the webhook's
+ * URL or as an HMAC-SHA256 signature of the body in the X-Hub-Signature header (e.g. "sha256=1a2b...").
+ * 
+ * @param {*} httpReq The webhook request
+ * @return {boolean} true if the request carries the shared secret
+ */
+function isWebhookAuthentic(httpReq) {
+  if (WEBHOOK_SECRET == null || WEBHOOK_SECRET == "") return false;
+
+  let expected = null;
+  let actual = null;
+  let signature = httpReq.get('X-Hub-Signature');
+  if (signature != null) {
+    expected = 'sha256=' + crypto.createHmac('sha256', WEBHOOK_SECRET).update(httpReq.rawBody || '').digest('hex');
+    actual = signature;
+  } else if (httpReq.query.secret != null) {
+    expected = WEBHOOK_SECRET;
+    actual = String(httpReq.query.secret);
+  } else {
+    return false;
+  }
+
+  // Compare in constant time so the secret can't be guessed a character at a time
+  let expectedBuffer = Buffer.from(expected);
+  let actualBuffer = Buffer.from(actual);
+  return expectedBuffer.length == actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Updates the issue array cache in place for an issue that a JIRA webhook says has been created, updated or deleted, so
+ * the change shows up without waiting for the next refresh. Created and updated issues are fetched from JIRA with their
+ * change log (the webhook payload doesn't include the full history); deleted issues, and issues whose type is no longer
+ * one that's cached, are marked as deleted (see tombstoneIssue).
+ * 
+ * The issue array cache's last update time is moved on to when the webhook arrived and the issue's events are
+ * recalculated straight away, so the derived caches (velocity etc.) see that they're out of date and queries answered from
+ * the latest snapshot (see REFRESH_INTERVAL_MINUTES) include the change. Webhooks that arrive before the issue array
+ * cache has been filled from JIRA are ignored, as that will pick the change up anyway.
+ * 
+ * @param {string} requestId The Request ID for the webhook, e.g. Webhook12
+ * @param {string} webhookEvent The JIRA webhook event, e.g. jira:issue_updated
+ * @param {string} issueId The ID of the issue that has changed
+ * @return {Promise<string>} Resolves to what was done to the cache ("added", "updated", "removed" or "ignored")
+ */
+function getWebhookIssueUpdatePromise(requestId, webhookEvent, issueId) {
+  let issuePromise = webhookEvent == 'jira:issue_deleted' ? Promise.resolve(null) : gJira.issue.getIssue({ issueId: issueId, expand: ['changelog'] });
+
+  return issuePromise.then((issue) => {
+    return gCacheManagementLock.acquire("fullIssueArrayCache", () => {
+      return reloadCachesFromStore(requestId).then(() => {
+        return unsafeUpdateIssueFromWebhook(requestId, webhookEvent, issueId, issue);
+      });
+    });
+  }).then((action) => {
+    if (action == "ignored") return action;
+    // Bring the event log up to the new snapshot (once the issue array cache lock has been released, as the event log
+    // takes that lock itself)
+    let now = gCaches.fullIssueArrayCacheLastUpdateTime;
+    return getFullEventLogCacheUpdatePromise(requestId, {now: now, from: now, to: now, intervalMs: 0, maxDataPoints: 0}).then(() => {
+      gSnapshotTime = getLatestSnapshotTime();
+      return action;
+    });
+  });
+}
+
+/**
+ * Applies a JIRA webhook to the issue array cache (see getWebhookIssueUpdatePromise). Must be called holding the issue
+ * array cache lock.
+ * 
+ * @param {string} requestId The Request ID for the webhook, e.g. Webhook12
+ * @param {string} webhookEvent The JIRA webhook event, e.g. jira:issue_updated
+ * @param {string} issueId The ID of the issue that has changed
+ * @param {Object} issue The issue as it is now in JIRA (null if it has been deleted)
+ * @return {string} What was done to the cache ("added", "updated", "removed" or "ignored")
+ */
+function unsafeUpdateIssueFromWebhook(requestId, webhookEvent, issueId, issue) {
+  console.info(requestId + ": Executing getWebhookIssueUpdatePromise (webhookEvent=" + webhookEvent + ", issueId=" + issueId + ")");
+  if (gCaches.fullIssueArrayCacheLastUpdateTime == null) return "ignored";
+
+  let cacheIndex = binarySearchIssueIndex(gCaches.fullIssueArrayCache, String(issueId));
+  let action = null;
+  if (issue == null || !CACHED_ISSUE_TYPES.includes(issue.fields.issuetype.name)) {
+    if (cacheIndex == -1 || gCaches.fullIssueArrayCache[cacheIndex].deleted != null) return "ignored";
+    tombstoneIssue(cacheIndex, new Date());
+    action = "removed";
+  } else if (cacheIndex != -1) {
+    gCaches.fullIssueArrayCache[cacheIndex] = issue;
+    action = "updated";
+  } else {
+    gCaches.fullIssueArrayCache.push(issue);
+    // Sort by ID number so we can index easily (and so binary search works!)
+    gCaches.fullIssueArrayCache.sort((a, b) => {
+      return a.id - b.id;
+    });
+    action = "added";
+  }
+
+  markIssueEventsOutOfDate(String(issueId));
+  gCaches.fullIssueArrayCacheLastUpdateTime = new Date(Math.max(new Date(), gCaches.fullIssueArrayCacheLastUpdateTime));
+
+  writeCacheToStore("fullIssueArrayCache", [String(issueId)]);
+  writeCacheToStore("fullIssueArrayCacheLastUpdateTime");
+  writeCacheToStore("fullEventLogCacheLastUpdateTime");
+  return action;
+}
+
+/**
+ * Marks an issue as deleted rather than removing it from the issue array cache, so that burnups can remove it from scope
+ * at the time it went (see the "deleted" event in calculateFullEventLog) rather than as if it had never existed. Deleted
+ * issues are left out of everything else (see filterOutIssues). If the issue turns up in JIRA again then the fresh copy
+ * replaces it.
+ * 
+ * The issue is replaced with a marked copy rather than changed in place, as earlier copies of the cache may still be
+ * being written to the cache store (see writeCacheToStore).
+ * 
+ * @param {number} cacheIndex The index of the issue in the issue array cache
+ * @param {Date} dateTime When the issue was found to have gone
+ */
+function tombstoneIssue(cacheIndex, dateTime) {
+  let issue = Object.assign({}, gCaches.fullIssueArrayCache[cacheIndex], {deleted: dateTime});
+  gCaches.fullIssueArrayCache[cacheIndex] = issue;
+  markIssueEventsOutOfDate(issue.id);
+}
+
+/**
+ * Makes sure an issue's events are recalculated the next time the event log is used, after the issue has been changed
+ * in the issue array cache outside of a normal refresh.
+ * 
+ * @param {string} issueId The ID of the changed issue
+ */
+function markIssueEventsOutOfDate(issueId) {
+  if (gEventLogChangedIssueIds != null) gEventLogChangedIssueIds.add(issueId);
+  gCaches.fullEventLogCacheLastUpdateTime = null;
+}
+
+/**
+ * Gets the IDs (and nothing else) of all the issues in JIRA that would be cached.
+ * 
+ * @param {string} requestId The Request ID, e.g. Reconcile3
+ * @param {Set<string>} issueIds The IDs found so far
+ * @param {number} startAt The index of the first search result to get
+ * @return {Promise<Set<string>>} The IDs of the issues
+ */
+function getIssueIdsPromise(requestId, issueIds = new Set(), startAt = 0) {
+  let jql = 'issuetype in (' + CACHED_ISSUE_TYPES.join(', ') + ')';
+  return gJira.search.search({ jql: jql, startAt: startAt, maxResults: 1000, fields: ['id'] }).then((jiraRes) => {
+    console.info(requestId + ": Executing getIssueIdsPromise (maxResults=" + jiraRes.total + ", startAt=" + startAt + ")");
+    jiraRes.issues.forEach((issue) => {issueIds.add(issue.id)});
+    if (jiraRes.issues.length > 0 && startAt + jiraRes.maxResults < jiraRes.total) {
+      return getIssueIdsPromise(requestId, issueIds, startAt + jiraRes.maxResults);
+    }
+    return issueIds;
+  });
+}
+
+/**
+ * Finds the issues in the issue array cache that are no longer in JIRA - because they've been deleted, or moved to an
+ * issue type that isn't cached - and marks them as deleted. The queries for updated issues can't find these.
+ * 
+ * The IDs are fetched from JIRA without holding the issue array cache lock, so queries, refreshes and webhooks aren't held
+ * up by the scan. Issues added or updated while it runs are protected by RECONCILE_GRACE_MS.
+ * 
+ * @return {Promise<number>} Resolves to the number of issues marked as deleted (it never rejects - errors are logged)
+ */
+function reconcileIssueCache() {
+  let requestId = "Reconcile" + (++gReconcileCount);
+  // Nothing to check if nothing has been cached yet
+  if (gCaches.fullIssueArrayCacheLastUpdateTime == null) return Promise.resolve(0);
+
+  let scanStartTime = new Date();
+  return getIssueIdsPromise(requestId).then((issueIds) => {
+    if (issueIds.size == 0 && gCaches.fullIssueArrayCache.length > 0) {
+      // More likely to be a permissions problem than everything having been deleted
+      console.warn(requestId + ": JIRA returned no issues, so none have been marked as deleted");
+      return 0;
+    }
+
+    return gCacheManagementLock.acquire("fullIssueArrayCache", () => {
+      return reloadCachesFromStore(requestId).then(() => {
+        let goneIssueIds = [];
+        gCaches.fullIssueArrayCache.forEach((issue, cacheIndex) => {
+          if (issue.deleted == null && !issueIds.has(issue.id) && (issue.fields.updated == null || scanStartTime - new Date(issue.fields.updated) > RECONCILE_GRACE_MS)) {
+            console.info(requestId + ": Marking " + issue.key + " as deleted");
+            tombstoneIssue(cacheIndex, scanStartTime);
+            goneIssueIds.push(issue.id);
+          }
+        });
+        if (goneIssueIds.length > 0) {
+          // A new snapshot, as for a webhook (see unsafeUpdateIssueFromWebhook)
+          gCaches.fullIssueArrayCacheLastUpdateTime = new Date(Math.max(new Date(), gCaches.fullIssueArrayCacheLastUpdateTime));
+          writeCacheToStore("fullIssueArrayCache", goneIssueIds);
+          writeCacheToStore("fullIssueArrayCacheLastUpdateTime");
+          writeCacheToStore("fullEventLogCacheLastUpdateTime");
+        }
+        return goneIssueIds.length;
+      });
+    });
+  }).then((goneIssueCount) => {
+    if (goneIssueCount == 0) return goneIssueCount;
+    // Bring the event log up to the new snapshot once the issue array cache lock has been released (see
+    // getWebhookIssueUpdatePromise)
+    let now = gCaches.fullIssueArrayCacheLastUpdateTime;
+    return getFullEventLogCacheUpdatePromise(requestId, {now: now, from: now, to: now, intervalMs: 0, maxDataPoints: 0}).then(() => {
+      gSnapshotTime = getLatestSnapshotTime();
+      return goneIssueCount;
+    });
+  }).catch((err) => {
+    console.error(requestId + ": Error checking for deleted issues");
+    console.error(err);
+    return 0;
+  });
+}
+
+/* ========================== */
+/* PROMISES                   */
+/* ========================== */
+
+/**
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
+ */
+function getPromisesForMetric(requestId, window, target, result) {
+  switch (target.target) {
     case METRICS[0]: return getCurrent2WeekVelocityPromise(requestId, window, target, result);
     case METRICS[1]: return getRolling2WeekVelocityPromise(requestId, window, target, result);
     case METRICS[2]: return getCurrent2WeekAverageCycleTimePerPointPromise(requestId, window, target, result);
@@ -673,13 +2078,25 @@ function getPromisesForMetric(requestId, window, target, result) {
     case METRICS[9]: return getInitiativeProjectionPromise(requestId, window, target, result);
     case METRICS[10]: return getReleaseProjectionPromise(requestId, window, target, result);
     case METRICS[11]: return getReleaseEpicsPromise(requestId, window, target, result);
-    // case METRICS[12]: return getDefectRaiseRatePromise(requestId, window, target, result);
+    case METRICS[12]: return getDefectRaiseRatePromise(requestId, window, target, result);
     case METRICS[13]: return getAverageCycleTimeMetrics(requestId, window, target, result);
+    case METRICS[14]: return getThroughputPromise(requestId, window, target, result);
+    case METRICS[15]: return getCumulativeFlowPromise(requestId, window, target, result);
+    case METRICS[16]: return getWIPPromise(requestId, window, target, result);
+    case METRICS[17]: return getWorkItemAgePromise(requestId, window, target, result);
+    case METRICS[18]: return getTimeInStatusPromise(requestId, window, target, result);
+    case METRICS[19]: return getFlowEfficiencyPromise(requestId, window, target, result);
+    case METRICS[20]: return getLeadTimePromise(requestId, window, target, result);
+    case METRICS[21]: return getCycleTimeScatterplotPromise(requestId, window, target, result);
+    case METRICS[22]: return getReworkRatePromise(requestId, window, target, result);
+    case METRICS[23]: return getScopeChangePromise(requestId, window, target, result);
+    case METRICS[24]: return getSprintVelocityPromise(requestId, window, target, result);
+    case METRICS[25]: return getSprintBurndownPromise(requestId, window, target, result);
   }
 }
 
 /**
- * Calculates a release scope, burnup and projection dataset for an initiative
+ * Calculates a release scope, burnup and projection dataset for a release
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The range the data should be returned within
@@ -689,36 +2106,119 @@ function getPromisesForMetric(requestId, window, target, result) {
  */
 function getReleaseProjectionPromise(requestId, window, target, result) {
 
-  // Get the initiative we're projecting
+  // Get the release we're projecting
   let releaseId = getReleaseId(target);
+  let resolutions = getResolutions(target);
+  const cacheKey = getScopeAndBurnupCacheKey(releaseId, resolutions);
 
-  return getScopeAndBurnupCacheUpdatePromise(requestId, window, releaseId, true).then(() => {
+  return getScopeAndBurnupCacheUpdatePromise(cacheKey, requestId, window, releaseId, true, resolutions).then(() => {
 
     console.info(requestId + ": Executing getReleaseProjectionPromise (releaseId=" + releaseId + ")");
-    let burnupCache = gReleaseScopeAndBurnupDataCache[releaseId];
+    return addScopeBurnupAndProjectionFromCache(requestId, window, target, gReleaseScopeAndBurnupDataCache[cacheKey], result);
+
+  });
+
+}
+
+/**
+ * Creates one time series per reason for a change in the scope of a release (or initiative): points added by new
+ * tickets, removed by cancelled tickets, re-estimated, and moved in or out of the release (or initiative). Each point is
+ * the net change within the interval that starts at that point. Can also return a table of the changes and the tickets
+ * responsible for them.
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The range the data should be returned within
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
+ */
+function getScopeChangePromise(requestId, window, target, result) {
+
+  // An initiative can be specified instead of a release
+  let initiativeId = getInitiativeId(target);
+  let isRelease = initiativeId == null;
+  let targetId = isRelease ? getReleaseId(target) : initiativeId;
+  let resolutions = getResolutions(target);
+  const cacheKey = getScopeAndBurnupCacheKey(targetId, resolutions);
+
+  return getScopeAndBurnupCacheUpdatePromise(cacheKey, requestId, window, targetId, isRelease, resolutions).then(() => {
+
+    console.info(requestId + ": Executing getScopeChangePromise (targetId=" + targetId + ", isRelease=" + isRelease + ")");
+    let cache = isRelease ? gReleaseScopeAndBurnupDataCache[cacheKey] : gInitiativeScopeAndBurnupDataCache[cacheKey];
+    let scopeChanges = cache.scopeChanges.filter((scopeChange) => {return scopeChange.datetime >= window.from});
+
+    if (getFormat(target) == "table") {
+      // Only returns a table type (not timeseries)
+      return result.push({
+        target: target,
+        columns: [
+          {text: "Changed", type: "time"},
+          {text: "Key", type: "string"},
+          {text: "Reason", type: "string"},
+          {text: "Points", type: "number"}
+        ],
+        rows: scopeChanges.map((scopeChange) => {
+          return [Math.floor(scopeChange.datetime), scopeChange.issueKey, scopeChange.reason, scopeChange.points];
+        }),
+        type: "table"
+      });
+    }
+
+    // Total up the changes for each reason in each interval
+    let reasons = [...new Set([...Object.values(SCOPE_CHANGE_REASONS), REOPENED_SCOPE_CHANGE_REASON])];
+    let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+    reasons.forEach((reason) => {
+      let datapoints = [];
+      for (let curDateTime = new Date(window.from); curDateTime <= calcEndDatetime; curDateTime.setTime(curDateTime.getTime() + window.intervalMs)) {
+        let intervalEnd = curDateTime.getTime() + window.intervalMs;
+        let points = 0;
+        scopeChanges.forEach((scopeChange) => {
+          if (scopeChange.reason == reason && scopeChange.datetime >= curDateTime && scopeChange.datetime < intervalEnd) points += scopeChange.points;
+        });
+        datapoints.push([points, Math.floor(curDateTime)]);
+      }
+      result.push({
+        target: reason,
+        datapoints: datapoints
+      });
+    });
+
+  });
+
+}
+
+/**
+ * Adds the scope and burnup series from a release or initiative scope and burnup cache entry to the result, along with
+ * projections of the burnup if the window extends in to the future.
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The range the data should be returned within
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {{scopeData: [number, number][], burnupData: [number, number][], lastUpdateTime: Date}} burnupCache The scope and burnup cache entry
+ * @param {{target: string, datapoints: [[]]}[]} result 
+ * @return {PromiseLike|{target: string, datapoints: [number, number][]}[]} Eventually this returns "result" populated with more data. It may return a Promise to do so if additional async calls need to be made.
+ */
+function addScopeBurnupAndProjectionFromCache(requestId, window, target, burnupCache, result) {
 
-    // Calculate scope and burnup series
-    let scopeData = burnupCache.scopeData.filter(value => {return value[1] >= Math.floor(window.from)});
-    result.push({
-      target: "Scope",
-      datapoints: scopeData
-    });
-    padStartToWindow(scopeData, window);
-    let burnupData = burnupCache.burnupData.filter(value => {return value[1] >= Math.floor(window.from)});
-    result.push({
-      target: "Burnup",
-      datapoints: burnupData
-    });
-    padStartToWindow(burnupData, window);
-    
-    // Only add projections if we need to
-    if (window.to > window.now) {
-      return getBurnupProjectionFromCachePromise(requestId, window, target, scopeData, burnupData, result);
-    } else {
-      return result;
-    }
-  
+  // Calculate scope and burnup series
+  let scopeData = burnupCache.scopeData.filter(value => {return value[1] >= Math.floor(window.from)});
+  result.push({
+    target: "Scope",
+    datapoints: scopeData
+  });
+  padStartToWindow(scopeData, window);
+  let burnupData = burnupCache.burnupData.filter(value => {return value[1] >= Math.floor(window.from)});
+  result.push({
+    target: "Burnup",
+    datapoints: burnupData
   });
+  padStartToWindow(burnupData, window);
+
+  // Only add projections if we need to
+  if (window.to > window.now) {
+    return getBurnupProjectionFromCachePromise(requestId, window, target, scopeData, burnupData, result);
+  } else {
+    return result;
+  }
 
 }
 
@@ -732,7 +2232,7 @@ function getDetermineVelocityLimitsPromise(requestId, window, target) {
 
   let vSource = getVelocitySource(target);
   switch (vSource) {
-    // TODO: Add Percentile at a later date
+    // Note: MonteCarlo doesn't produce bounds so it's handled by getBurnupProjectionFromCachePromise
     case "Explicit":
       return Promise.resolve(getVelocityBounds(target));
     case "Limits":
@@ -750,19 +2250,21 @@ function getDetermineVelocityLimitsPromise(requestId, window, target) {
  * @return {{max: number, cur: number, min: number}} a object containing the bounds of the velocity
  */
 function getVelocityBoundsFromHistoricDataPromise(requestId, window, target) {
-  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), true);
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
   let projectKey = getProjectKey(target);
   let teamId = getTeamId(target);
   let addBugsDefault = getAddBugsDefault(target);
   let bugDefaultSize = getBugDefaultSize(target);
 
-  return getVelocityCacheUpdatePromise(requestId, window, completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize).then(() => {
+  const cacheKey = getVelocityCacheKey(completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize);
+
+  return getVelocityCacheUpdatePromise(cacheKey, requestId, window, completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize).then((cache) => {
 
     console.info(requestId + ": Executing getVelocityBoundsFromHistoricDataPromise (projectKey=" + projectKey + ", teamId=" + teamId + ")");
 
     // Calculate current, best and worst case velocities (assume 2 week rolling average)
     // Make sure we're restricting velocity choices to the displayed window
-    let velocities = gVelocityCache.filter(value => {return value[1] >= Math.floor(window.from)});
+    let velocities = cache.velocities.filter(value => {return value[1] >= Math.floor(window.from)});
     let minV = velocities[0][0];
     let maxV = velocities[0][0];
     let curV = velocities[velocities.length-1][0];
@@ -792,6 +2294,10 @@ function getVelocityBoundsFromHistoricDataPromise(requestId, window, target) {
  */
 function getBurnupProjectionFromCachePromise(requestId, window, target, scopeData, burnupData, result) {
 
+  if (getVelocitySource(target) == "MonteCarlo") {
+    return getMonteCarloProjectionPromise(requestId, window, target, scopeData, burnupData, result);
+  }
+
   return getDetermineVelocityLimitsPromise(requestId, window, target).then((vBounds) => {
 
     console.info(requestId + ": Executing getBurnupProjectionFromCachePromise");
@@ -845,335 +2351,1134 @@ function getBurnupProjectionFromCachePromise(requestId, window, target, scopeDat
     // TODO: In future, get this from JIRA using a version information request
     addVerticalLine(getTargetReleaseDate(target), "Target", highestPoint, result);
 
-    return result;
+    return result;
+
+  });
+}
+
+/**
+ * Projects the burnup by simulating lots of possible futures, each made up of days picked at random from the recent
+ * history of points delivered per day. Adds a burnup projection line and a completion date vertical for each of the
+ * MONTE_CARLO_CONFIDENCES, e.g. the 85% line is the burnup that 85% of the simulated futures did at least as well as.
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The range the data should be returned within
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {[number, number][]} scopeData The scope series
+ * @param {[number, number][]} burnupData The burnup series
+ * @param {{target: string, datapoints: [number, number][]}[]} result 
+ * @return {Promise} Resolves to "result" populated with the projections
+ */
+function getMonteCarloProjectionPromise(requestId, window, target, scopeData, burnupData, result) {
+
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let addBugsDefault = getAddBugsDefault(target);
+  let bugDefaultSize = getBugDefaultSize(target);
+  let sampleDays = getMonteCarloSampleDays(target);
+  let trials = getMonteCarloTrials(target);
+
+  return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+    console.info(requestId + ": Executing getMonteCarloProjectionPromise (projectKey=" + projectKey + ", teamId=" + teamId + ", sampleDays=" + sampleDays + ", trials=" + trials + ")");
+
+    // Work out how many points were delivered on each of the sampled days
+    let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+    let completionEvents = getCompletionEvents(getStatusChangesByIssueKeyMap(filteredIssueArray), completionStatuses);
+    let dailyVelocities = calculateDailyVelocities(completionEvents, window.now, sampleDays, addBugsDefault, bugDefaultSize);
+
+    let scopeNow = scopeData[scopeData.length-1][0];
+    let doneScopeNow = burnupData[burnupData.length-1][0];
+    // Don't draw the projections further out than MONTE_CARLO_MAX_HORIZON_DAYS, however far out the window goes
+    let horizonDays = Math.min(Math.ceil((window.to.getTime() - window.now.getTime()) / DAY_MS), MONTE_CARLO_MAX_HORIZON_DAYS);
+    let simulation = simulateBurnups(dailyVelocities, scopeNow - doneScopeNow, horizonDays, trials);
+
+    // Add a burnup projection for each confidence level, with a point at each interval (or each day if the interval is shorter)
+    let stepDays = Math.max(1, Math.round(window.intervalMs / DAY_MS));
+    let highestPoint = Math.max(...scopeData.map((value) => {return value[0]}), ...burnupData.map((value) => {return value[0]}));
+    MONTE_CARLO_CONFIDENCES.forEach(confidence => {
+      let datapoints = [[doneScopeNow, Math.floor(window.now)]];
+      for (let day = stepDays; day < horizonDays + stepDays; day += stepDays) {
+        let dayIndex = Math.min(day, horizonDays) - 1;
+        // At X% confidence, X% of the simulations burnt up at least this much
+        let burnup = doneScopeNow + calculatePercentile(simulation.burnupsByDay[dayIndex], 100 - confidence);
+        datapoints.push([burnup, Math.min(Math.floor(window.now) + (dayIndex + 1) * DAY_MS, Math.floor(window.to))]);
+        highestPoint = Math.max(highestPoint, burnup);
+      }
+      result.push({
+        target: "MC " + confidence + "% projection",
+        datapoints: datapoints
+      });
+    });
+    result.push({
+      target: "Scope projection",
+      datapoints: [
+        [scopeNow, Math.floor(window.now)],
+        [scopeNow, Math.floor(window.to)]
+      ]
+    });
+
+    // Add the time vertical interception lines, including "now" and the completion date at each confidence level
+    addVerticalLine(window.now, "Now", highestPoint, result);
+    MONTE_CARLO_CONFIDENCES.forEach(confidence => {
+      let completionDays = calculatePercentile(simulation.completionDays, confidence);
+      // If the simulations didn't finish at this confidence level then there's no date to show
+      if (isFinite(completionDays)) {
+        addVerticalLine(new Date(window.now.getTime() + completionDays * DAY_MS), "MC " + confidence + "% completion", highestPoint, result);
+      }
+    });
+    addVerticalLine(getTargetReleaseDate(target), "Target", highestPoint, result);
+
+    return result;
+  });
+}
+
+/**
+ * Calculates a release scope, burnup and projection dataset for an initiative
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The range the data should be returned within
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {{target: string, datapoints: [[]]}[]} result 
+ * @return {Promise}
+ */
+function getInitiativeProjectionPromise(requestId, window, target, result) {
+
+  // Get the initiative we're projecting
+  let initiativeId = getInitiativeId(target);
+  let resolutions = getResolutions(target);
+  const cacheKey = getScopeAndBurnupCacheKey(initiativeId, resolutions);
+  
+  return getScopeAndBurnupCacheUpdatePromise(cacheKey, requestId, window, initiativeId, false, resolutions).then(() => {
+
+    console.info(requestId + ": Executing getInitiativeProjectionPromise (initiativeId=" + initiativeId + ")");
+    return addScopeBurnupAndProjectionFromCache(requestId, window, target, gInitiativeScopeAndBurnupDataCache[cacheKey], result);
+
+  }); // getScopeAndBurnupCacheUpdatePromise.then
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} target 
+ * @param {*} result 
+ */
+function getHighVizTicketsPromise(requestId, target, result) {
+
+  let jql = getTicketQueryJQLClauses(target).concat([
+    'labels = ' + getJQLString(getLabel(target, DEFAULT_HIGH_VIZ_LABEL))
+  ]).join(' AND ');
+
+  return gJira.search.search({ jql: jql }).then((jiraRes) => {
+
+    let tableRows = [];
+    jiraRes.issues.forEach( issue => {
+      tableRows.push([
+        issue.key,
+        issue.fields.summary,
+        issue.fields.status.name + (getIssueField(issue, 'statusDetail') != null ? ' ' + getIssueField(issue, 'statusDetail').value : '')
+      ])
+    });
+    
+    // Only returns a table type (not timeserie)
+    return result.push({
+      target: target,
+      columns: [
+        {text: "Key", type: "string"},
+        {text: "Title", type: "string"},
+        {text: "Status", type: "string"}
+      ],
+      rows: tableRows,
+      type: "table"
+    });
+
+  });
+
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} target 
+ * @param {*} result 
+ */
+function getNewTicketsStartedLastWeekPromise(requestId, target, result) {
+
+  // A ticket has started once it's moved on from the from status (or anything before it)
+  let fromStatus = getFromStatus(target, getValueStreamForTarget(target).startedFromStatus);
+  let notStartedStatuses = getPreviousStatusesFromStartingStatus(fromStatus, getValueStreamForTarget(target));
+  let jql = getTicketQueryJQLClauses(target, true).concat([
+    'status changed from (' + getJQLString(fromStatus) + ') after ' + getLookback(target),
+    'status not in (' + getInStringFromStatusArray(notStartedStatuses) + ')'
+  ]).join(' AND ');
+  return getTicketsTableFromJQLPromise(target, result, jql);
+
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} target 
+ * @param {*} result 
+ */
+function getTicketsFinishedLastWeekPromise(requestId, target, result) {
+
+  let finishedStatuses = getInStringFromStatusArray(getFutureStatusesFromStartingStatus(getToStatus(target, getValueStreamForTarget(target).finishedToStatus), getValueStreamForTarget(target), true));
+  let jql = getTicketQueryJQLClauses(target, true).concat([
+    'status changed to (' + finishedStatuses + ') after ' + getLookback(target),
+    'status in (' + finishedStatuses + ')'
+  ]).join(' AND ');
+  return getTicketsTableFromJQLPromise(target, result, jql);
+
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} target 
+ * @param {*} result 
+ */
+function getAcceptanceCriteriaConformancePromise(requestId, target, result) {
+  // Get all tickets in flight
+  let jql = getTicketQueryJQLClauses(target).concat([
+    'statusCategory = "In Progress"'
+  ]).join(' AND ');
+
+  return gJira.search.search({ jql: jql }).then((jiraRes) => {
+    
+    let numStories = jiraRes.issues.length;
+    let numACs = 0;
+    jiraRes.issues.forEach( issue => {
+      if (getIssueField(issue, 'acceptanceCriteria') != null) numACs++;
+    });
+
+    // 'time series'
+    return result.push({
+      target: target.refId,
+      datapoints: [[numACs/numStories*100, Math.floor(new Date())]]
+    });
+
+  });
+
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} target 
+ * @param {*} result 
+ * @return an array of Promises, one for each version ID
+ */
+function getReleaseProgressPromises(requestId, window, target, result) {
+  let versionIds = getVersionIds(target);
+  let resolutions = getResolutions(target);
+  let p = [];
+  versionIds.forEach(versionId => {
+    p.push(getReleaseProgressPromise(requestId, window, result, versionId, resolutions));
+  });
+  return p;
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} window 
+ * @param {*} result 
+ * @param {*} versionId 
+ * @param {{done: string[], cancelled: string[]}} resolutions The resolutions that mean an issue is done or cancelled
+ */
+function getReleaseProgressPromise(requestId, window, result, versionId, resolutions) {
+
+  let releaseName = "";
+  const cacheKey = getScopeAndBurnupCacheKey(versionId, resolutions);
+
+  let p = [];
+  p.push(getScopeAndBurnupCacheUpdatePromise(cacheKey, requestId, window, versionId, true, resolutions));
+  p.push(gJira.version.getVersion({versionId: versionId}).then((jiraRes) => {
+    releaseName = jiraRes.name;
+  }));
+
+  // Wait for the scope and burnup caches to be updated AND for the version information to update
+  return Promise.all(p).then(() => {
+
+    let cache = gReleaseScopeAndBurnupDataCache[cacheKey];
+    let done = cache.burnupData[cache.burnupData.length-1][0];
+    let scope = cache.scopeData[cache.scopeData.length-1][0];
+    
+    let completePct = 0;
+    if (scope != 0) {
+      completePct = done / scope * 100;
+    }
+
+    return result.push({
+      target: releaseName,
+      datapoints: [[completePct, Math.floor(cache.lastUpdateTime)]]
+    });
+
+  });
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} window 
+ * @param {*} target 
+ * @param {*} result 
+ */
+function getCurrent2WeekAverageCycleTimePerPointPromise(requestId, window, target, result) {
+
+  let valueStream = getValueStreamForTarget(target);
+  let futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), valueStream);
+  let fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target), valueStream);
+  let teamId = getTeamId(target);
+  let projectKey = getProjectKey(target);
+  if (getFormat(target) == "distribution") {
+    return getCycleTimeDistributionPromise(requestId, window, target, result, fromStatuses, futureStatuses, projectKey, teamId, true);
+  }
+  let statistic = getStatistic(target);
+  const cacheKey = projectKey + "," + teamId + "," + statistic;
+  return getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, true, null, 14, statistic).then(() => {
+
+    let cache = gCycleTimeCache[cacheKey].cycleTimes;
+    return result.push({
+      target: target.refId,
+      datapoints: [cache[cache.length-1]]
+    });
+  });
+}
+
+
+/**
+ *
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} window
+ * @param {*} target
+ * @param {*} result
+ */
+function getAverageCycleTimeMetrics(requestId, window, target, result, averageCycleTimePerPoint = false) {
+
+  // const futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target));
+  const futureStatuses = [getToStatus(target)];
+  // const fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target));
+  const fromStatuses = getFromStatus(target);
+  const teamId = getTeamId(target);
+  const projectKey = getProjectKey(target);
+  const storyPoints = getStoryPoints(target);
+  if (getFormat(target) == "distribution") {
+    return getCycleTimeDistributionPromise(requestId, window, target, result, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint, storyPoints);
+  }
+  const days = getDays(target, 30);
+  const statistic = getStatistic(target);
+
+  const cacheKey = projectKey + "," + teamId + "," + storyPoints + "," + averageCycleTimePerPoint + "," + days + "," + statistic;
+
+  return getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint, storyPoints, days, statistic).then(() => {
 
+    let cache = gCycleTimeCache[cacheKey].cycleTimes;
+    return result.push({
+      target: target.refId,
+      datapoints: [cache[cache.length-1]]
+    });
   });
 }
 
 /**
- * Calculates a release scope, burnup and projection dataset for an initiative
+ * Creates a time series of the lead time (from creation to completion) of the tickets completed in a rolling window.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The range the data should be returned within
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
  * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
- * @param {{target: string, datapoints: [[]]}[]} result 
- * @return {Promise}
+ * @param {*} result The result
  */
-function getInitiativeProjectionPromise(requestId, window, target, result) {
+function getLeadTimePromise(requestId, window, target, result) {
 
-  // Get the initiative we're projecting
-  let initiativeId = getInitiativeId(target);
-  
-  return getScopeAndBurnupCacheUpdatePromise(requestId, window, initiativeId, false).then(() => {
+  // No from statuses means the clock starts when the ticket is created
+  const futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
+  const teamId = getTeamId(target);
+  const projectKey = getProjectKey(target);
+  const storyPoints = getStoryPoints(target);
+  if (getFormat(target) == "distribution") {
+    return getCycleTimeDistributionPromise(requestId, window, target, result, null, futureStatuses, projectKey, teamId, false, storyPoints);
+  }
+  const days = getDays(target, 30);
+  const statistic = getStatistic(target);
 
-    return addBurnupProjectionFromCache(window, target, gInitiativeScopeAndBurnupDataCache[initiativeId], result);
+  const cacheKey = "leadTime," + futureStatuses.join("|") + "," + projectKey + "," + teamId + "," + storyPoints + "," + days + "," + statistic;
 
-  }); // getScopeAndBurnupCacheUpdatePromise.then
+  return getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, null, futureStatuses, projectKey, teamId, false, storyPoints, days, statistic).then(() => {
+    let leadTimes = gCycleTimeCache[cacheKey].cycleTimes;
+    // Trim the data to start at the beginning of the return window
+    let filteredLeadTimes = leadTimes.filter(value => {return value[1] >= Math.floor(window.from)});
+    // If the time frame included a future projection, then add a projection point based on the last lead time calculated
+    padEndToWindow(filteredLeadTimes, window);
+    // Return a time series object type
+    return result.push({
+      target: target.refId,
+      datapoints: filteredLeadTimes
+    });
+  });
 }
 
 /**
+ * Creates a Grafana table with a row for each ticket completed within the window: when it was completed, its cycle time,
+ * key, size and a link to it in JIRA. Also adds a horizontal line time series for each of the requested percentiles of
+ * those cycle times.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} target 
- * @param {*} result 
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
  */
-function getHighVizTicketsPromise(requestId, target, result) {
+function getCycleTimeScatterplotPromise(requestId, window, target, result) {
+
+  let valueStream = getValueStreamForTarget(target);
+  let futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), valueStream, true);
+  let fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target), valueStream);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let storySize = getStoryPoints(target);
+  let percentiles = getPercentiles(target);
 
-  let jql = 'project = "ENG" AND labels = high-viz';
+  return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
 
-  return gJira.search.search({ jql: jql }).then((jiraRes) => {
+    console.info(requestId + ": Executing getCycleTimeScatterplotPromise (projectKey=" + projectKey + ", teamId=" + teamId + ", storySize=" + storySize + ")");
+
+    // Filter out issues we don't want (Epics, Initiatives, projects, teams)
+    let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+    if (storySize !== null && storySize !== undefined) {
+      filteredIssueArray = filteredIssueArray.filter((issue) => {
+        return getIssueSize(issue) === storySize;
+      });
+    }
 
+    // One point per completion within the window (a ticket that regresses and completes again has more than one)
+    let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+    let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(filteredIssueArray);
     let tableRows = [];
-    jiraRes.issues.forEach( issue => {
-      tableRows.push([
-        issue.key,
-        issue.fields.summary,
-        issue.fields.status.name + ' ' + issue.fields.customfield_10059.value
-      ])
+    getCompletionEvents(statusChangesByIssueKeyMap, futureStatuses, true).forEach((completionEvent) => {
+      const completionDate = completionEvent.completionTransitionDateTime;
+      if (completionDate < window.from || completionDate > calcEndDatetime) return;
+      const issue = completionEvent.issue;
+      const cycleTime = calculateCycleTime(statusChangesByIssueKeyMap[issue.key].statusChanges, fromStatuses, futureStatuses, completionDate);
+      tableRows.push([Math.floor(completionDate), cycleTime, issue.key, getIssueSize(issue), "https://" + process.env.JIRA_HOST + "/browse/" + issue.key]);
     });
-    
-    // Only returns a table type (not timeserie)
-    return result.push({
+    tableRows.sort((a, b) => { return a[0] - b[0] });
+
+    result.push({
       target: target,
       columns: [
+        {text: "Completed", type: "time"},
+        {text: "Cycle time (days)", type: "number"},
         {text: "Key", type: "string"},
-        {text: "Title", type: "string"},
-        {text: "Status", type: "string"}
+        {text: "Story points", type: "number"},
+        {text: "Link", type: "string"}
       ],
       rows: tableRows,
       type: "table"
     });
 
+    // Percentile lines across the whole window
+    let cycleTimes = tableRows.map((row) => {return row[1]});
+    if (cycleTimes.length > 0) {
+      percentiles.forEach((percentile) => {
+        addHorizontalLine(calculatePercentile(cycleTimes, percentile), percentile + "th percentile", window, result);
+      });
+    }
   });
+}
+
+/**
+ * Creates a Grafana table of the distribution of cycle times for the tickets completed within the window, i.e. the
+ * number of tickets with a cycle time in each bucket of bucketDays.
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {*} target The request target object
+ * @param {*} result The result
+ * @param {string[]} fromStatuses When a ticket leaves these statuses, the cycle-time clock starts (null for lead time, i.e. when the ticket is created)
+ * @param {string[]} futureStatuses When a ticket enters these statuses, the cycle-time clock stops
+ * @param {string} projectKey 
+ * @param {string} teamId 
+ * @param {boolean} perPoint if true then the cycle time is divided by the ticket size
+ * @param {number} storySize if specified then only tickets of this size are included
+ * @returns {Promise}
+ */
+function getCycleTimeDistributionPromise(requestId, window, target, result, fromStatuses, futureStatuses, projectKey, teamId, perPoint, storySize = null) {
 
+  let bucketDays = getBucketDays(target);
+
+  return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+    console.info(requestId + ": Executing getCycleTimeDistributionPromise (projectKey=" + projectKey + ", teamId=" + teamId + ", storySize=" + storySize + ")");
+
+    // Filter out issues we don't want (Epics, Initiatives, projects, teams)
+    let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+    if (storySize !== null && storySize !== undefined) {
+      filteredIssueArray = filteredIssueArray.filter((issue) => {
+        return getIssueSize(issue) === storySize;
+      });
+    }
+
+    // Only include the issues that were completed within the window
+    let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+    let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(filteredIssueArray);
+    let completedIssueKeys = getCompletionEvents(statusChangesByIssueKeyMap, futureStatuses, true).filter((completionEvent) => {
+      return completionEvent.completionTransitionDateTime >= window.from && completionEvent.completionTransitionDateTime <= calcEndDatetime;
+    }).map((completionEvent) => {
+      return completionEvent.issue.key;
+    });
+    let completedIssueKeySet = new Set(completedIssueKeys);
+    let filteredStatusChangeMap = Object.fromEntries(Object.entries(statusChangesByIssueKeyMap).filter(([k,v]) => {
+      return completedIssueKeySet.has(k);
+    }));
+
+    // Count the tickets in each bucket, widening the buckets if there would be too many
+    let bucketCounts = [];
+    let cycleTimes = calculateCycleTimesForIssues(filteredStatusChangeMap, fromStatuses, futureStatuses, calcEndDatetime, perPoint);
+    let maxCycleTime = cycleTimes.reduce((max, cycleTime) => {return Math.max(max, cycleTime)}, 0);
+    if (maxCycleTime / bucketDays >= DISTRIBUTION_MAX_BUCKETS) {
+      let widenedBucketDays = maxCycleTime / (DISTRIBUTION_MAX_BUCKETS - 1);
+      console.warn(requestId + ": Widening bucketDays=" + bucketDays + " to " + widenedBucketDays + ": expected no more than " + DISTRIBUTION_MAX_BUCKETS + " buckets");
+      bucketDays = widenedBucketDays;
+    }
+    cycleTimes.forEach((cycleTime) => {
+      let bucket = Math.max(0, Math.floor(cycleTime / bucketDays));
+      bucketCounts[bucket] = (bucketCounts[bucket] || 0) + 1;
+    });
+    let tableRows = [];
+    for (let bucket = 0; bucket < bucketCounts.length; bucket++) {
+      tableRows.push([bucket * bucketDays, bucketCounts[bucket] || 0]);
+    }
+
+    // Only returns a table type (not timeseries)
+    return result.push({
+      target: target,
+      columns: [
+        {text: (fromStatuses == null ? "Lead time" : "Cycle time") + (perPoint ? " per point" : "") + " (days)", type: "number"},
+        {text: "Tickets", type: "number"}
+      ],
+      rows: tableRows,
+      type: "table"
+    });
+  });
 }
 
 /**
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} target 
+ * @param {*} target
  * @param {*} result 
+ * @returns {Promise}
  */
-function getNewTicketsStartedLastWeekPromise(requestId, target, result) {
+function getRolling2WeekAverageCycleTimePerPointPromise(requestId, window, target, result) {
 
-  let jql = ('project = "ENG" AND status changed from ("Prioritised") after -1w and status not in ("Backlog")');
-  return getTicketsTableFromJQLPromise(target, result, jql);
+  let valueStream = getValueStreamForTarget(target);
+  let futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), valueStream);
+  let fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target), valueStream);
+  let teamId = getTeamId(target);
+  let projectKey = getProjectKey(target);
+  if (getFormat(target) == "distribution") {
+    return getCycleTimeDistributionPromise(requestId, window, target, result, fromStatuses, futureStatuses, projectKey, teamId, true);
+  }
+  let statistic = getStatistic(target);
+  const cacheKey = projectKey + "," + teamId + "," + statistic;
 
+  return getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, true, null, 14, statistic).then(() => {
+    let cycleTimes = gCycleTimeCache[cacheKey].cycleTimes;
+    // Trim the data to start at the beginning of the return window
+    let filteredCycleTimes = cycleTimes.filter(value => {return value[1] >= Math.floor(window.from)});
+    // If the time frame included a future projection, then add a projection point based on the last velocity calculated
+    padEndToWindow(filteredCycleTimes, window);
+    // Return a time series object type
+    return result.push({
+      target: target.refId,
+      datapoints: filteredCycleTimes
+    });
+  });
 }
 
 /**
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {*} window 
  * @param {*} target 
  * @param {*} result 
  */
-function getTicketsFinishedLastWeekPromise(requestId, target, result) {
+function getCurrent2WeekVelocityPromise(requestId, window, target, result) {
 
-  let jql = ('project = "ENG" AND status changed to ("Deploy Queue", Deploy, Deployed) after -1w and status in ("Deploy Queue", Deploy, Deployed)');
-  return getTicketsTableFromJQLPromise(target, result, jql);
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let addBugsDefault = getAddBugsDefault(target);
+  let bugDefaultSize = getBugDefaultSize(target);
+
+  const cacheKey = getVelocityCacheKey(completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize);
+
+  return getVelocityCacheUpdatePromise(cacheKey, requestId, window, completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize).then((cache) => {
+    let velocities = cache.velocities;
+    return result.push({
+      target: target.refId,
+      datapoints: [velocities[velocities.length-1]]
+    });
+  });
 
 }
 
 /**
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} target 
- * @param {*} result 
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
  */
-function getAcceptanceCriteriaConformancePromise(requestId, target, result) {
-  // customfield_10060 = acceptance criteria field
+function getRolling2WeekVelocityPromise(requestId, window, target, result) {
 
-  // Get all tickets in flight
-  let jql = ('project = ENG and statusCategory = "In Progress"');
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let addBugsDefault = getAddBugsDefault(target);
+  let bugDefaultSize = getBugDefaultSize(target);
 
-  return gJira.search.search({ jql: jql }).then((jiraRes) => {
-    
-    let numStories = jiraRes.issues.length;
-    let numACs = 0;
-    jiraRes.issues.forEach( issue => {
-      if (issue.fields.customfield_10060 != null) numACs++;
+  const cacheKey = getVelocityCacheKey(completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize);
+
+  return getVelocityCacheUpdatePromise(cacheKey, requestId, window, completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize).then((cache) => {
+    // If the time frame included a future projection, then add a projection point based on the last velocity calculated
+    let velocities = cache.velocities.filter(value => {return value[1] >= Math.floor(window.from)});
+    padEndToWindow(velocities, window);
+    // Return a time series object type
+    return result.push({
+      target: target.refId,
+      datapoints: velocities
     });
+  });
 
-    // 'time series'
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
+ */
+function getDefectRaiseRatePromise(requestId, window, target, result) {
+
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let priorities = getPriorities(target);
+  let days = getDays(target, 14);
+  let ratioToPoints = getRatioToPoints(target);
+  let addBugsDefault = getAddBugsDefault(target);
+  let bugDefaultSize = getBugDefaultSize(target);
+  const cacheKey = getDefectRaiseRateCacheKey(completionStatuses, projectKey, teamId, priorities, days, ratioToPoints, addBugsDefault, bugDefaultSize);
+
+  return getDefectRaiseRateCacheUpdatePromise(cacheKey, requestId, window, completionStatuses, projectKey, teamId, priorities, days, ratioToPoints, addBugsDefault, bugDefaultSize).then((cache) => {
+    // If the time frame included a future projection, then add a projection point based on the last rate calculated
+    let defectRates = cache.defectRates.filter(value => {return value[1] >= Math.floor(window.from)});
+    padEndToWindow(defectRates, window);
+    // Return a time series object type
     return result.push({
       target: target.refId,
-      datapoints: [[numACs/numStories*100, Math.floor(new Date())]]
+      datapoints: defectRates
     });
+  });
+
+}
+
+/**
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
+ */
+function getThroughputPromise(requestId, window, target, result) {
 
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let issueTypes = getIssueTypes(target);
+  let period = getPeriod(target);
+  let days = getDays(target, 14);
+  const cacheKey = completionStatuses.join("|") + "," + projectKey + "," + teamId + "," + issueTypes + "," + period + "," + days;
+
+  return getThroughputCacheUpdatePromise(cacheKey, requestId, window, completionStatuses, projectKey, teamId, issueTypes, period, days).then(() => {
+    let throughputs;
+    if (period == "week") {
+      // Include the week the window starts in
+      throughputs = gThroughputCache[cacheKey].throughputs.filter(value => {return value[1] + 7 * DAY_MS > Math.floor(window.from)});
+    } else {
+      // If the time frame included a future projection, then add a projection point based on the last throughput calculated
+      throughputs = gThroughputCache[cacheKey].throughputs.filter(value => {return value[1] >= Math.floor(window.from)});
+      padEndToWindow(throughputs, window);
+    }
+    // Return a time series object type
+    return result.push({
+      target: target.refId,
+      datapoints: throughputs
+    });
   });
 
 }
 
 /**
+ * Creates one time series per status in the value stream (from fromStatus to toStatus, excluding cancelled statuses) of
+ * the number of tickets (or points) in that status or later.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} target 
- * @param {*} result 
- * @return an array of Promises, one for each version ID
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
  */
-function getReleaseProgressPromises(requestId, window, target, result) {
-  let versionIds = getVersionIds(target);
-  let p = [];
-  versionIds.forEach(versionId => {
-    p.push(getReleaseProgressPromise(requestId, window, result, versionId));
+function getCumulativeFlowPromise(requestId, window, target, result) {
+
+  let valueStream = getValueStreamForTarget(target);
+  let statuses = getStatusRange(target);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let measure = getMeasure(target);
+  let addBugsDefault = getAddBugsDefault(target);
+  let bugDefaultSize = getBugDefaultSize(target);
+  const cacheKey = statuses.join("|") + "," + projectKey + "," + teamId + "," + measure + "," + addBugsDefault + "," + bugDefaultSize;
+
+  return getCumulativeFlowCacheUpdatePromise(cacheKey, requestId, window, statuses, valueStream, projectKey, teamId, measure, addBugsDefault, bugDefaultSize).then(() => {
+    statuses.forEach((status) => {
+      // If the time frame included a future projection, then add a projection point based on the last value calculated
+      let flow = gCumulativeFlowCache[cacheKey].flows[status].filter(value => {return value[1] >= Math.floor(window.from)});
+      padEndToWindow(flow, window);
+      result.push({
+        target: status,
+        datapoints: flow
+      });
+    });
   });
-  return p;
+
 }
 
 /**
+ * Creates one time series per status in the value stream (from fromStatus to toStatus, excluding cancelled statuses) of
+ * the number of tickets (or points) in that status.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} window 
- * @param {*} result 
- * @param {*} versionId 
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
  */
-function getReleaseProgressPromise(requestId, window, result, versionId) {
+function getWIPPromise(requestId, window, target, result) {
 
-  let releaseName = "";
+  let statuses = getStatusRange(target);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let measure = getMeasure(target);
+  let addBugsDefault = getAddBugsDefault(target);
+  let bugDefaultSize = getBugDefaultSize(target);
+  const cacheKey = statuses.join("|") + "," + projectKey + "," + teamId + "," + measure + "," + addBugsDefault + "," + bugDefaultSize;
+
+  return getWIPCacheUpdatePromise(cacheKey, requestId, window, statuses, projectKey, teamId, measure, addBugsDefault, bugDefaultSize).then(() => {
+    statuses.forEach((status) => {
+      // If the time frame included a future projection, then add a projection point based on the last value calculated
+      let wip = gWIPCache[cacheKey].wips[status].filter(value => {return value[1] >= Math.floor(window.from)});
+      padEndToWindow(wip, window);
+      result.push({
+        target: status,
+        datapoints: wip
+      });
+    });
+  });
 
-  let p = [];
-  p.push(getScopeAndBurnupCacheUpdatePromise(requestId, window, versionId, true));
-  p.push(gJira.version.getVersion({versionId: versionId}).then((jiraRes) => {
-    releaseName = jiraRes.name;
-  }));
+}
 
-  // Wait for the scope and burnup caches to be updated AND for the version information to update
-  return Promise.all(p).then(() => {
+/**
+ * Creates a Grafana table of the tickets that are currently in flight (between fromStatus and toStatus), oldest first,
+ * alongside the 85th percentile cycle time of recently completed tickets of the same size. Tickets that are older than
+ * that are flagged.
+ * 
+ * @param {string} requestId The Request ID from Grafana, e.g. Q123
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
+ */
+function getWorkItemAgePromise(requestId, window, target, result) {
 
-    let cache = gReleaseScopeAndBurnupDataCache[versionId];
-    let done = cache.burnupData[cache.burnupData.length-1][0];
-    let scope = cache.scopeData[cache.scopeData.length-1][0];
-    
-    let completePct = 0;
-    if (scope != 0) {
-      completePct = done / scope * 100;
+  let valueStream = getValueStreamForTarget(target);
+  let futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), valueStream);
+  let fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target), valueStream);
+  let projectKey = getProjectKey(target);
+  let teamId = getTeamId(target);
+  let days = getDays(target, 90);
+
+  return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+    console.info(requestId + ": Executing getWorkItemAgePromise (projectKey=" + projectKey + ", teamId=" + teamId + ")");
+
+    // Filter out issues we don't want (Epics, Initatives, projects, teams)
+    let filteredIssueArray = filterOutIssues(fullIssuesArray, projectKey, teamId);
+    let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(filteredIssueArray);
+
+    // Group the tickets completed in the last few days by size and work out the 85th percentile cycle time for each
+    let startDate = new Date(window.now);
+    startDate.setDate(window.now.getDate() - days);
+    let completedStatusChangeMapsBySize = {};
+    getCompletionEvents(statusChangesByIssueKeyMap, futureStatuses, true).forEach((completionEvent) => {
+      if (completionEvent.completionTransitionDateTime > startDate && completionEvent.completionTransitionDateTime <= window.now) {
+        let size = getIssueSize(completionEvent.issue);
+        completedStatusChangeMapsBySize[size] = completedStatusChangeMapsBySize[size] || {};
+        completedStatusChangeMapsBySize[size][completionEvent.issue.key] = statusChangesByIssueKeyMap[completionEvent.issue.key];
+      }
+    });
+    let p85CycleTimesBySize = {};
+    for (const size in completedStatusChangeMapsBySize) {
+      let cycleTimes = calculateCycleTimesForIssues(completedStatusChangeMapsBySize[size], fromStatuses, futureStatuses, window.now, false);
+      p85CycleTimesBySize[size] = calculatePercentile(cycleTimes, 85);
+    }
+
+    // In flight tickets have left the from status but haven't reached the to status (and haven't been cancelled)
+    let tableRows = [];
+    for (const issueKey in statusChangesByIssueKeyMap) {
+      const issue = statusChangesByIssueKeyMap[issueKey].issue;
+      const statusChanges = statusChangesByIssueKeyMap[issueKey].statusChanges;
+      const status = issue.fields.status.name;
+      if (!valueStream.statuses.includes(status) || valueStream.cancelledStatuses.includes(status) || fromStatuses.includes(status) || futureStatuses.includes(status)) continue;
+
+      // The clock is still running (even if it completed in the past and has since regressed), so there are no to statuses.
+      // If it was created in flight (whether or not it has moved since) then it's been in flight since it was created
+      let age = calculateCycleTime(statusChanges, fromStatuses, [], window.now, window.now, new Date(issue.fields.created));
+      let size = getIssueSize(issue);
+      let p85CycleTime = p85CycleTimesBySize[size];
+      tableRows.push([
+        issue.key,
+        issue.fields.summary,
+        status,
+        Math.round(age * 10) / 10,
+        size,
+        p85CycleTime == null ? null : Math.round(p85CycleTime * 10) / 10,
+        p85CycleTime != null && age > p85CycleTime ? "Yes" : "No"
+      ]);
     }
+    tableRows.sort((a, b) => { return b[3] - a[3] });
 
+    // Only returns a table type (not timeseries)
     return result.push({
-      target: releaseName,
-      datapoints: [[completePct, Math.floor(cache.lastUpdateTime)]]
+      target: target,
+      columns: [
+        {text: "Key", type: "string"},
+        {text: "Summary", type: "string"},
+        {text: "Status", type: "string"},
+        {text: "Age (days)", type: "number"},
+        {text: "Size", type: "number"},
+        {text: "85th percentile cycle time (days)", type: "number"},
+        {text: "Older than 85th percentile", type: "string"}
+      ],
+      rows: tableRows,
+      type: "table"
     });
-
   });
+
 }
 
 /**
+ * Works out the status sets and cache key for the time in status metrics and makes sure the cache is up to date.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} window 
- * @param {*} target 
- * @param {*} result 
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @return {Promise} Resolves to {statuses: string[], cache: {...}} - the statuses there is a time in status series for, and the cache entry
  */
-function getCurrent2WeekAverageCycleTimePerPointPromise(requestId, window, target, result) {
+function getTimeInStatusFromCachePromise(requestId, window, target) {
 
-  let futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target));
-  let fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target));
-  let teamId = getTeamId(target);
+  let valueStream = getValueStreamForTarget(target);
+  let futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), valueStream, true);
+  let fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target), valueStream);
+  // No time is spent in the statuses that stop the clock
+  let statuses = getStatusRange(target).filter((status) => {return !futureStatuses.includes(status)});
   let projectKey = getProjectKey(target);
-  const cacheKey = projectKey + "," + teamId;
-  return getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId).then(() => {
+  let teamId = getTeamId(target);
+  let days = getDays(target, 14);
+  let activeStatuses = getActiveStatuses(target);
+  const cacheKey = fromStatuses.join("|") + "," + futureStatuses.join("|") + "," + projectKey + "," + teamId + "," + days + "," + activeStatuses.join("|");
 
-    let cache = gCycleTimeCache[cacheKey].cycleTimes;
-    return result.push({
-      target: target.refId,
-      datapoints: [cache[cache.length-1]]
-    });
+  return getTimeInStatusCacheUpdatePromise(cacheKey, requestId, window, statuses, fromStatuses, futureStatuses, projectKey, teamId, days, activeStatuses).then(() => {
+    return {statuses: statuses, cache: gTimeInStatusCache[cacheKey]};
   });
-}
 
+}
 
 /**
- *
+ * Creates one time series per status, named after the status, of the average number of days the tickets completed in
+ * the rolling window spent in that status.
+ * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} window
- * @param {*} target
- * @param {*} result
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
  */
-function getAverageCycleTimeMetrics(requestId, window, target, result, averageCycleTimePerPoint = false) {
-
-  // const futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target));
-  const futureStatuses = [getToStatus(target)];
-  // const fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target));
-  const fromStatuses = getFromStatus(target);
-  const teamId = getTeamId(target);
-  const projectKey = getProjectKey(target);
-  const storyPoints = getStoryPoints(target);
-  const days = getDays(target, 30);
-
-  const cacheKey = projectKey + "," + teamId + "," + storyPoints + "," + averageCycleTimePerPoint + "," + days;
-
-  return getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId, averageCycleTimePerPoint, storyPoints, days).then(() => {
-
-    let cache = gCycleTimeCache[cacheKey].cycleTimes;
-    return result.push({
-      target: target.refId,
-      datapoints: [cache[cache.length-1]]
+function getTimeInStatusPromise(requestId, window, target, result) {
+
+  return getTimeInStatusFromCachePromise(requestId, window, target).then(({statuses, cache}) => {
+    statuses.forEach((status) => {
+      // If the time frame included a future projection, then add a projection point based on the last value calculated
+      let timeInStatus = cache.timesInStatus[status].filter(value => {return value[1] >= Math.floor(window.from)});
+      padEndToWindow(timeInStatus, window);
+      result.push({
+        target: status,
+        datapoints: timeInStatus
+      });
     });
   });
+
 }
 
 /**
+ * Creates a time series of the percentage of the cycle time of the tickets completed in the rolling window that was
+ * spent in active statuses.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} target
- * @param {*} result 
- * @returns {Promise}
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
  */
-function getRolling2WeekAverageCycleTimePerPointPromise(requestId, window, target, result) {
-
-  let futureStatuses = getFutureStatusesFromStartingStatus(getToStatus(target));
-  let fromStatuses = getPreviousStatusesFromStartingStatus(getFromStatus(target));
-  let teamId = getTeamId(target);
-  let projectKey = getProjectKey(target);
-  const cacheKey = projectKey + "," + teamId;
+function getFlowEfficiencyPromise(requestId, window, target, result) {
 
-  return getCycleTimeCacheUpdatePromise(cacheKey, requestId, window, fromStatuses, futureStatuses, projectKey, teamId).then(() => {
-    let cycleTimes = gCycleTimeCache[cacheKey].cycleTimes;
-    // Trim the data to start at the beginning of the return window
-    let filteredCycleTimes = cycleTimes.filter(value => {return value[1] >= Math.floor(window.from)});
-    // If the time frame included a future projection, then add a projection point based on the last velocity calculated
-    padEndToWindow(filteredCycleTimes, window);
+  return getTimeInStatusFromCachePromise(requestId, window, target).then(({cache}) => {
+    // If the time frame included a future projection, then add a projection point based on the last value calculated
+    let flowEfficiencies = cache.flowEfficiencies.filter(value => {return value[1] >= Math.floor(window.from)});
+    padEndToWindow(flowEfficiencies, window);
     // Return a time series object type
     return result.push({
       target: target.refId,
-      datapoints: filteredCycleTimes
+      datapoints: flowEfficiencies
     });
   });
+
 }
 
 /**
+ * Creates a time series of the number of backward moves (e.g. "Test Review" -> "Dev", or out of a completed status) in
+ * a rolling window, or of the percentage of the tickets completed in the window that later regressed. Can also return a
+ * table of the backward moves within the window.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
- * @param {*} window 
- * @param {*} target 
- * @param {*} result 
+ * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
+ * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
+ * @param {*} result The result
  */
-function getCurrent2WeekVelocityPromise(requestId, window, target, result) {
+function getReworkRatePromise(requestId, window, target, result) {
 
-  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), true);
+  let valueStream = getValueStreamForTarget(target);
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), valueStream, true);
   let projectKey = getProjectKey(target);
   let teamId = getTeamId(target);
-  let addBugsDefault = getAddBugsDefault(target);
-  let bugDefaultSize = getBugDefaultSize(target);
 
-  return getVelocityCacheUpdatePromise(requestId, window, completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize).then(() => {
+  if (getFormat(target) == "table") {
+    return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+      let calcEndDatetime = window.to.getTime() > window.now.getTime() ? window.now : window.to;
+      let tableRows = [];
+      getBackwardMoves(filterOutIssues(fullIssuesArray, projectKey, teamId), valueStream).forEach((backwardMove) => {
+        if (backwardMove.datetime < window.from || backwardMove.datetime > calcEndDatetime) return;
+        tableRows.push([
+          Math.floor(backwardMove.datetime),
+          backwardMove.issue.key,
+          backwardMove.issue.fields.summary,
+          backwardMove.fromStatus,
+          backwardMove.toStatus,
+          completionStatuses.includes(backwardMove.fromStatus) ? "Yes" : "No"
+        ]);
+      });
+
+      // Only returns a table type (not timeseries)
+      return result.push({
+        target: target,
+        columns: [
+          {text: "Moved", type: "time"},
+          {text: "Key", type: "string"},
+          {text: "Summary", type: "string"},
+          {text: "From status", type: "string"},
+          {text: "To status", type: "string"},
+          {text: "Regressed from complete", type: "string"}
+        ],
+        rows: tableRows,
+        type: "table"
+      });
+    });
+  }
+
+  let days = getDays(target, 14);
+  let measure = getMeasure(target);
+  const cacheKey = completionStatuses.join("|") + "," + projectKey + "," + teamId + "," + days;
+
+  return getReworkRateCacheUpdatePromise(cacheKey, requestId, window, completionStatuses, valueStream, projectKey, teamId, days).then(() => {
+    let cache = gReworkRateCache[cacheKey];
+    // If the time frame included a future projection, then add a projection point based on the last value calculated
+    let reworkRates = (measure == "percentage" ? cache.regressedPercentages : cache.backwardMoves).filter(value => {return value[1] >= Math.floor(window.from)});
+    padEndToWindow(reworkRates, window);
+    // Return a time series object type
     return result.push({
       target: target.refId,
-      datapoints: [gVelocityCache[gVelocityCache.length-1]]
+      datapoints: reworkRates
     });
   });
 
 }
 
 /**
+ * Creates "Committed" and "Completed" time series of the points committed to and completed in each of a board's sprints
+ * (with a point at the end of each sprint), including the active sprint so far. Can also return a table of the sprints.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
  * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
  * @param {*} result The result
  */
-function getRolling2WeekVelocityPromise(requestId, window, target, result) {
+function getSprintVelocityPromise(requestId, window, target, result) {
 
-  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), true);
-  let projectKey = getProjectKey(target);
-  let teamId = getTeamId(target);
+  let boardId = getBoardId(target);
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
   let addBugsDefault = getAddBugsDefault(target);
   let bugDefaultSize = getBugDefaultSize(target);
+  const cacheKey = boardId + "," + completionStatuses.join("|") + "," + addBugsDefault + "," + bugDefaultSize;
 
-  return getVelocityCacheUpdatePromise(requestId, window, completionStatuses, projectKey, teamId, addBugsDefault, bugDefaultSize).then(() => {
-    // If the time frame included a future projection, then add a projection point based on the last velocity calculated
-    let velocities = gVelocityCache.filter(value => {return value[1] >= Math.floor(window.from)});
-    padEndToWindow(velocities, window);
-    // Return a time series object type
-    return result.push({
-      target: target.refId,
-      datapoints: velocities
+  if (boardId == null) {
+    throw new Error("Sprint velocity needs a boardId");
+  }
+
+  return getSprintVelocityCacheUpdatePromise(cacheKey, requestId, window, boardId, completionStatuses, addBugsDefault, bugDefaultSize).then(() => {
+
+    // Each sprint is plotted at its end (or now, if it's still active)
+    let sprintVelocities = gSprintVelocityCache[cacheKey].sprintVelocities.map((sprintVelocity) => {
+      let sprint = sprintVelocity.sprint;
+      let endDate = sprint.state == "closed" ? new Date(sprint.completeDate || sprint.endDate) : window.now;
+      return Object.assign({endDate: endDate}, sprintVelocity);
+    }).filter((sprintVelocity) => {
+      return sprintVelocity.endDate >= window.from && sprintVelocity.endDate <= window.to;
+    }).sort((a, b) => { return a.endDate - b.endDate });
+
+    if (getFormat(target) == "table") {
+      // Only returns a table type (not timeseries)
+      return result.push({
+        target: target,
+        columns: [
+          {text: "Sprint", type: "string"},
+          {text: "State", type: "string"},
+          {text: "Start", type: "time"},
+          {text: "End", type: "time"},
+          {text: "Committed", type: "number"},
+          {text: "Completed", type: "number"}
+        ],
+        rows: sprintVelocities.map((sprintVelocity) => {
+          return [sprintVelocity.sprint.name, sprintVelocity.sprint.state, Math.floor(new Date(sprintVelocity.sprint.startDate)), Math.floor(sprintVelocity.endDate), sprintVelocity.committed, sprintVelocity.completed];
+        }),
+        type: "table"
+      });
+    }
+
+    result.push({
+      target: "Committed",
+      datapoints: sprintVelocities.map((sprintVelocity) => {return [sprintVelocity.committed, Math.floor(sprintVelocity.endDate)]})
+    });
+    result.push({
+      target: "Completed",
+      datapoints: sprintVelocities.map((sprintVelocity) => {return [sprintVelocity.completed, Math.floor(sprintVelocity.endDate)]})
     });
+
   });
 
 }
 
 /**
+ * Creates "Remaining", "Ideal" and "Scope added" time series for a sprint: the points in the sprint that aren't complete
+ * yet at the start of each day, a straight line from the points remaining at the start to none at the sprint's end
+ * date, and the points in the sprint that were added after it started. Uses the board's active sprint unless a sprint
+ * ID is given.
  * 
  * @param {string} requestId The Request ID from Grafana, e.g. Q123
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The window to return data in
  * @param {{target: string, refId: string, type: string, data: {}}} target The request target object
  * @param {*} result The result
  */
-function getDefectRaiseRatePromise(requestId, window, target, result) {
+function getSprintBurndownPromise(requestId, window, target, result) {
+
+  let sprintId = getSprintId(target);
+  let boardId = getBoardId(target);
+  let completionStatuses = getFutureStatusesFromStartingStatus(getToStatus(target), getValueStreamForTarget(target), true);
+
+  if (sprintId == null && boardId == null) {
+    throw new Error("Sprint burndown needs a sprintId or a boardId");
+  }
+
+  let sprintPromise = sprintId != null ? gJira.sprint.getSprint({sprintId: sprintId}) : gJira.board.getSprintsForBoard({boardId: boardId, state: 'active'}).then((jiraRes) => {
+    return jiraRes.values[0];
+  });
+
+  return Promise.all([sprintPromise, getFullEventLogCacheUpdatePromise(requestId, window)]).then(([sprint, eventLog]) => {
+
+    if (sprint == null) {
+      console.warn(requestId + ": No active sprint found for board " + boardId);
+      return;
+    }
+
+    return getFullIssueArrayCacheUpdatePromise(requestId, window).then((fullIssuesArray) => {
+
+      console.info(requestId + ": Executing getSprintBurndownPromise (sprintId=" + sprint.id + ")");
 
-  // let projectKey = getProjectKey(target);
+      // Only issues that have been in a sprint are of interest
+      let sprintIssueArray = filterOutIssues(fullIssuesArray, null, null).filter((issue) => {
+        return getSprintIdsAt(issue, null).length > 0 || issue.changelog.histories.some((history) => {
+          return history.items.some((item) => {return item.fieldId == getFieldId('sprint')});
+        });
+      });
+      let statusChangesByIssueKeyMap = getStatusChangesByIssueKeyMap(sprintIssueArray);
+
+      let sizeEventsByIssueId = getSizeEventsByIssueId(sprintIssueArray, eventLog);
+
+      let startDate = new Date(sprint.startDate);
+      let idealEndDate = new Date(sprint.endDate);
+      let endDate = sprint.state == "closed" ? new Date(sprint.completeDate || sprint.endDate) : new Date(window.now);
+      let inSprintAtStart = {};
+      sprintIssueArray.forEach((issue) => {
+        inSprintAtStart[issue.id] = getSprintIdsAt(issue, startDate).includes(sprint.id);
+      });
+
+      // A point at the start of each day of the sprint, and one at the end
+      let dateTimes = [];
+      for (let curDateTime = new Date(startDate); curDateTime < endDate; curDateTime.setDate(curDateTime.getDate() + 1)) {
+        dateTimes.push(new Date(curDateTime));
+      }
+      dateTimes.push(endDate);
+
+      let remainingData = [];
+      let scopeAddedData = [];
+      dateTimes.forEach((dateTime) => {
+        let remaining = 0;
+        let scopeAdded = 0;
+        sprintIssueArray.forEach((issue) => {
+          if (!getSprintIdsAt(issue, dateTime).includes(sprint.id)) return;
+          let size = getIssueSizeAt(issue, sizeEventsByIssueId[issue.id], dateTime);
+          if (!completionStatuses.includes(getStatusAt(issue, statusChangesByIssueKeyMap[issue.key].statusChanges, dateTime))) remaining += size;
+          if (!inSprintAtStart[issue.id]) scopeAdded += size;
+        });
+        remainingData.push([remaining, Math.floor(dateTime)]);
+        scopeAddedData.push([scopeAdded, Math.floor(dateTime)]);
+      });
 
-  // return getVelocityCacheUpdatePromise(requestId, window, futureStatuses, projectKey).then(() => {
-  //   // If the time frame included a future projection, then add a projection point based on the last velocity calculated
-  //   let velocities = gVelocityCache.filter(value => {return value[1] >= Math.floor(window.from)});
-  //   padEndToWindow(velocities, window);
-  //   // Return a time series object type
-  //   return result.push({
-  //     target: target.refId,
-  //     datapoints: velocities
-  //   });
-  // });
+      result.push({
+        target: "Remaining",
+        datapoints: remainingData
+      });
+      result.push({
+        target: "Ideal",
+        datapoints: [
+          [remainingData[0][0], Math.floor(startDate)],
+          [0, Math.floor(idealEndDate)]
+        ]
+      });
+      result.push({
+        target: "Scope added",
+        datapoints: scopeAddedData
+      });
+    });
+  });
 
 }
 
@@ -1191,8 +3496,7 @@ function getTicketsTableFromJQLPromise(target, result, jql) {
 
     let tableRows = [];
     jiraRes.issues.forEach(issue => {
-      // customfield_10008 = Epic Link
-      tableRows.push([issue.key, issue.fields.summary, issue.fields.customfield_10008]);
+      tableRows.push([issue.key, issue.fields.summary, getIssueField(issue, 'epicLink')]);
     });
 
     // Only returns a table type (not timeserie)
@@ -1239,8 +3543,8 @@ function getReleaseEpicsPromise(requestId, window, target, result, epicKeys = []
       if (issue.fields.issuetype.name == "Epic") {
         epicKeys.push(issue.key);
       } else if (issue.fields.issuetype.name == "Story") {
-        if (issue.fields.customfield_10008) {
-          epicKeys.push(issue.fields.customfield_10008);
+        if (getIssueField(issue, 'epicLink')) {
+          epicKeys.push(getIssueField(issue, 'epicLink'));
         }
       }
     });
@@ -1329,65 +3633,268 @@ function getRequestProperty(target, propertyName, defaultValue = null, valueXFor
 /**
  * 
  * @param {*} target 
- * @return {string} the target status, e.g. 'Deploy Queue'
+ * @param {string} defaultStatus The status to use if one isn't specified (defaults to the end of the value stream)
+ * @return {string} the target status, e.g. 'Deploy Queue'
+ */
+function getToStatus(target, defaultStatus = null) {
+  let statuses = getValueStreamForTarget(target).statuses;
+  return getRequestProperty(target, 'toStatus', defaultStatus || statuses[statuses.length-1]);
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @param {string} defaultStatus The status to use if one isn't specified (defaults to the start of the value stream)
+ * @return {string} the target status, e.g. 'Dev'
+ */
+function getFromStatus(target, defaultStatus = null) {
+  return getRequestProperty(target, 'fromStatus', defaultStatus || getValueStreamForTarget(target).statuses[0]);
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string[]} the statuses in the value stream from fromStatus to toStatus (inclusive), excluding cancelled statuses
+ */
+function getStatusRange(target) {
+  let statuses = getFutureStatusesFromStartingStatus(getFromStatus(target), getValueStreamForTarget(target), true);
+  let lastStatusIndex = statuses.indexOf(getToStatus(target));
+  return lastStatusIndex == -1 ? statuses : statuses.slice(0, lastStatusIndex + 1);
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string[]} the statuses in which a ticket is being actively worked on (defaults to those of the value stream)
+ */
+function getActiveStatuses(target) {
+  return getRequestProperty(target, 'activeStatuses', getValueStreamForTarget(target).activeStatuses);
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {{statuses: string[], cancelledStatuses: string[]}} the value stream for the target project
+ */
+function getValueStreamForTarget(target) {
+  return getValueStream(getProjectKey(target));
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string} the target team Id (e.g. '9')
+ */
+function getTeamId(target) {
+  return getRequestProperty(target, 'teamId');
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string} the target project key (e.g. 'ENG')
+ */
+function getProjectKey(target) {
+  return getRequestProperty(target, 'projectKey');
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @param {string} defaultLabel The label to use if one isn't specified
+ * @return {string} the JIRA label, e.g. 'high-viz'
+ */
+function getLabel(target, defaultLabel) {
+  return getRequestProperty(target, 'label', defaultLabel);
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string} how far back to look as a JQL relative date, e.g. '-1w'
+ */
+function getLookback(target) {
+  return getRequestProperty(target, 'lookback', DEFAULT_LOOKBACK);
+}
+
+/**
+ *
+ * @param {*} target
+ * @return {number} the story points e.g. 1
+ */
+function getStoryPoints(target) {
+  return getRequestProperty(target, 'storyPoints');
+}
+
+/**
+ *
+ * @param {*} target
+ * @return {number} the number of days
+ */
+function getDays(target, defaultValue = null) {
+  return getRequestProperty(target, 'days', defaultValue);
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string} the statistic to calculate, e.g. 'mean', 'median', 'p85' (see calculateStatistic)
+ */
+function getStatistic(target) {
+  let statistic = getRequestProperty(target, 'statistic', 'mean');
+  if (!STATISTICS.includes(statistic)) {
+    throw new Error("Unknown statistic: " + statistic + " (expected one of " + STATISTICS.join(', ') + ")");
+  }
+  return statistic;
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {number[]} the percentiles to draw lines for, e.g. [50, 85, 95]
+ */
+function getPercentiles(target) {
+  return getRequestProperty(target, 'percentiles', [50, 85, 95]);
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string} the output format, e.g. 'timeseries' or 'distribution'
+ */
+function getFormat(target) {
+  return getRequestProperty(target, 'format', 'timeseries');
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {number} the width of each bucket in a distribution, in days
+ */
+function getBucketDays(target) {
+  let bucketDays = getRequestProperty(target, 'bucketDays', 1);
+  if (typeof bucketDays != 'number' || !isFinite(bucketDays) || bucketDays <= 0) {
+    throw new Error("Invalid bucketDays: " + JSON.stringify(bucketDays) + " (expected a number of days greater than 0)");
+  }
+  return bucketDays;
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string[]} the JIRA priority names to filter by, e.g. ['Highest', 'High'] (null means don't filter)
+ */
+function getPriorities(target) {
+  let priorities = getRequestProperty(target, 'priorities');
+  if (priorities != null && !(Array.isArray(priorities) && priorities.every(priority => {return typeof priority == 'string'}))) {
+    throw new Error("Invalid priorities: " + JSON.stringify(priorities) + " (expected an array of JIRA priority names, e.g. [\"Highest\", \"High\"])");
+  }
+  return priorities;
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string} what to measure tickets by, either 'count' (each ticket counts as one) or 'points' (story points)
+ */
+function getMeasure(target) {
+  return getRequestProperty(target, 'measure', 'count');
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {number} the JIRA sprint ID
+ */
+function getSprintId(target) {
+  return getRequestProperty(target, 'sprintId');
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {number} the JIRA agile board ID
+ */
+function getBoardId(target) {
+  return getRequestProperty(target, 'boardId');
+}
+
+/**
+ * 
+ * @param {*} target 
+ * @return {string[]} the JIRA issue type names to filter by, e.g. ['Story', 'Bug'] (null means don't filter)
  */
-function getToStatus(target) {
-  // Default status is Deploy Queue
-  return getRequestProperty(target, 'toStatus', STATUSES[STATUSES.length-1]);
+function getIssueTypes(target) {
+  return getRequestProperty(target, 'issueTypes');
 }
 
 /**
  * 
  * @param {*} target 
- * @return {string} the target status, e.g. 'Dev'
+ * @return {string} the period to count over, either 'rolling' (a rolling window of days) or 'week' (calendar weeks)
  */
-function getFromStatus(target) {
-  return getRequestProperty(target, 'fromStatus', STATUSES[0]);
+function getPeriod(target) {
+  return getRequestProperty(target, 'period', 'rolling');
 }
 
 /**
  * 
  * @param {*} target 
- * @return {string} the target team Id (e.g. '9')
+ * @return {boolean} true if a metric should be shown as a ratio to the story points delivered
  */
-function getTeamId(target) {
-  return getRequestProperty(target, 'teamId');
+function getRatioToPoints(target) {
+  return getRequestProperty(target, 'ratioToPoints', false);
 }
 
 /**
  * 
  * @param {*} target 
- * @return {string} the target project key (e.g. 'ENG')
+ * @return {string} The velocity source, either "Explicit" or "Limits" only at the moment
  */
-function getProjectKey(target) {
-  return getRequestProperty(target, 'projectKey');
+function getVelocitySource(target) {
+  return getRequestProperty(target, 'vSource', "Limits");
 }
 
 /**
- *
- * @param {*} target
- * @return {number} the story points e.g. 1
+ * 
+ * @param {*} target 
+ * @return {number} the number of futures to simulate for a Monte Carlo projection, from 1 to MONTE_CARLO_MAX_TRIALS
  */
-function getStoryPoints(target) {
-  return getRequestProperty(target, 'storyPoints');
+function getMonteCarloTrials(target) {
+  return getClampedRequestProperty(target, 'mcTrials', DEFAULT_MONTE_CARLO_TRIALS, MONTE_CARLO_MAX_TRIALS);
 }
 
 /**
- *
- * @param {*} target
- * @return {number} the number of days
+ * 
+ * @param {*} target 
+ * @return {number} the number of days of history (up to now) to sample velocities from for a Monte Carlo projection, from 1 to MONTE_CARLO_MAX_SAMPLE_DAYS
  */
-function getDays(target, defaultValue = null) {
-  return getRequestProperty(target, 'days', defaultValue);
+function getMonteCarloSampleDays(target) {
+  return getClampedRequestProperty(target, 'mcSampleDays', DEFAULT_MONTE_CARLO_SAMPLE_DAYS, MONTE_CARLO_MAX_SAMPLE_DAYS);
 }
 
 /**
+ * Gets a whole number request property, keeping it between 1 and a maximum so a request can't make the server do an
+ * unbounded amount of work. Anything that isn't a number falls back to the default.
  * 
  * @param {*} target 
- * @return {string} The velocity source, either "Explicit" or "Limits" only at the moment
+ * @param {string} property The name of the property
+ * @param {number} defaultValue The value to use if the property isn't set (or isn't a number)
+ * @param {number} maxValue The largest value allowed
+ * @return {number} The property value, from 1 to maxValue
  */
-function getVelocitySource(target) {
-  return getRequestProperty(target, 'vSource', "Limits");
+function getClampedRequestProperty(target, property, defaultValue, maxValue) {
+  let rawValue = getRequestProperty(target, property, defaultValue);
+  let value = parseInt(rawValue);
+  if (isNaN(value)) {
+    console.warn("Ignoring " + property + "=" + rawValue + ": expected a whole number, using " + defaultValue);
+    return defaultValue;
+  }
+  let clampedValue = Math.min(Math.max(value, 1), maxValue);
+  if (clampedValue != value) {
+    console.warn("Limiting " + property + "=" + value + " to " + clampedValue + ": expected from 1 to " + maxValue);
+  }
+  return clampedValue;
 }
 
 /**
@@ -1436,6 +3943,19 @@ function getVersionIds(target) {
   return getRequestProperty(target, 'versionIds', []);
 }
 
+/**
+ * 
+ * @param {*} target 
+ * @return {{done: string[], cancelled: string[]}} the resolutions that mean an issue is done (counts towards the burnup) or cancelled (removed from scope)
+ */
+function getResolutions(target) {
+  let valueStream = getValueStreamForTarget(target);
+  return {
+    done: getRequestProperty(target, 'doneResolutions', valueStream.doneResolutions),
+    cancelled: getRequestProperty(target, 'cancelledResolutions', valueStream.cancelledResolutions)
+  };
+}
+
 /**
  * 
  * @param {*} target 
@@ -1497,6 +4017,16 @@ function populateReleaseEpics(requestId, window, target, result, epicKeys, table
 
 }
 
+function addHorizontalLine(value, targetName, window, result) {
+  result.push({
+    target: targetName,
+    datapoints: [
+      [value, Math.floor(window.from)],
+      [value, Math.floor(window.to)]
+    ]
+  });
+}
+
 function addVerticalLine(datetime, targetName, maxVerticalPoint, result) {
   result.push({
     target: targetName,
@@ -1529,7 +4059,8 @@ function padStartToWindow(dataPoints, window) {
  */
 function padEndToWindow(dataPoints, window) {
 
-  if (dataPoints[dataPoints.length-1][1] != Math.floor(window.to)) {
+  // There's no last value to pad with if nothing fell within the window, e.g. if the whole window is in the future
+  if (dataPoints.length > 0 && dataPoints[dataPoints.length-1][1] != Math.floor(window.to)) {
     dataPoints.push([dataPoints[dataPoints.length-1][0], Math.floor(window.to)])
   }
 
@@ -1557,18 +4088,19 @@ function binarySearchIssueIndex(issueList, id, exactOnly = true) {
   if (bitwise) {
     while (min <= max) {
       guess = (min + max) >> 1;
-      if (issueList[guess].id === id) { return guess; }
+      if (issueList[guess].id == id) { return guess; }
       else {
-        if (issueList[guess].id < id) { min = guess + 1; }
+        // IDs are numeric strings, so compare them as numbers (the list is sorted numerically)
+        if (issueList[guess].id - id < 0) { min = guess + 1; }
         else { max = guess - 1; }
       }
     }
   } else {
     while (min <= max) {
       guess = Math.floor((min + max) / 2);
-      if (issueList[guess].id === id) { return guess; }
+      if (issueList[guess].id == id) { return guess; }
       else {
-        if (issueList[guess].id < id) { min = guess + 1; }
+        if (issueList[guess].id - id < 0) { min = guess + 1; }
         else { max = guess - 1; }
       }
     }
@@ -1584,17 +4116,18 @@ function binarySearchIssueIndex(issueList, id, exactOnly = true) {
 function getParentIdentifier(issue, idType) {
   if (issue.fields.issuetype.name == "Epic") {
     // Parent Link
-    if (issue.fields.customfield_10009.hasOwnProperty('data')) {
+    let parentLink = getIssueField(issue, 'parentLink');
+    if (parentLink != null && parentLink.hasOwnProperty('data')) {
       if (idType == "key") {
-        return issue.fields.customfield_10009.data.key;
-      } else return issue.fields.customfield_10009.data.id;
+        return parentLink.data.key;
+      } else return parentLink.data.id;
     } else return null;
   } else if (issue.fields.issuetype.name == "Initative") {
     // No parent possible
     return null;
   } else {
     // Epic Link
-    if (idType == "key") return issue.fields.customfield_10008;
+    if (idType == "key") return getIssueField(issue, 'epicLink');
     else return null;
   }
 }
@@ -1638,6 +4171,9 @@ function calculateFullEventLog(issues) {
       }
     }
 
+    let parentLinkFieldId = getFieldId('parentLink');
+    let epicLinkFieldId = getFieldId('epicLink');
+    let storyPointsFieldId = getFieldId('storyPoints');
     let parentChange = false;
     let sizeChange = false;
     let doneCreationReverseForVersions = {};
@@ -1645,9 +4181,7 @@ function calculateFullEventLog(issues) {
     // Loop through all the events in this issue's history in order of event occurance (determined by ID number)
     issue.changelog.histories.sort( (a, b) => {return a.id - b.id}).forEach(change => {
       change.items.forEach( changeItem => {
-        if (changeItem.fieldId == "customfield_10009" || changeItem.fieldId == "customfield_10008") {
-          // customfield_10009 = Parent initiative
-          // customfield_10008 = Epic Link
+        if (changeItem.fieldId == parentLinkFieldId || changeItem.fieldId == epicLinkFieldId) {
 
           // In the change log, the value is only referred to by the issue ID
           // Record that we've changed the parent at some point in the history and fix the history
@@ -1656,7 +4190,7 @@ function calculateFullEventLog(issues) {
           if (!parentChange) {
             let oldId = null;
             let oldKey = null;
-            if (changeItem.fieldId == "customfield_10008") {
+            if (changeItem.fieldId == epicLinkFieldId) {
               oldId = changeItem.from;
               oldKey = changeItem.fromString;
             } else {
@@ -1671,7 +4205,7 @@ function calculateFullEventLog(issues) {
 
           let newId = null;
           let newKey = null;
-          if (changeItem.fieldId == "customfield_10008") {
+          if (changeItem.fieldId == epicLinkFieldId) {
             newId = changeItem.to;
             newKey = changeItem.toString;
           } else {
@@ -1690,8 +4224,7 @@ function calculateFullEventLog(issues) {
             }
           });
 
-        } else if (changeItem.fieldId == "customfield_10016") {
-          // customfield_10016 = Story Points
+        } else if (changeItem.fieldId == storyPointsFieldId) {
           // fromString / toString contain story point values, to/from are null
           // Only applies to stories
 
@@ -1770,6 +4303,16 @@ function calculateFullEventLog(issues) {
     // Add the creation event to the log
     eventLog.push(createdEvent);
 
+    // Issues that have gone from JIRA are kept so they can be removed from history at the time they went
+    if (issue.deleted != null) {
+      eventLog.push({
+        datetime: new Date(issue.deleted),
+        issueId: issue.id,
+        event: "deleted",
+        eventDetails: {}
+      });
+    }
+
 //    console.debug("Processed events for issue " + issue.key);
   });
 
@@ -1779,6 +4322,40 @@ function calculateFullEventLog(issues) {
   return eventLog;
 }
 
+/**
+ * Updates an event log for a set of changed issues without recalculating the events of every other issue: the changed
+ * issues' old events are dropped, their events are recalculated and then merged back in to the time ordered log. The
+ * result is the same as calling calculateFullEventLog on all of the issues.
+ * 
+ * @param {{datetime: Date, issueId: number, event: string, eventDetails: {}}[]} eventLog The time ordered event log to update
+ * @param {Object[]} issues The full array of JIRA issues, sorted by ID
+ * @param {Set<number>} changedIssueIds The IDs of the issues that have been added or updated since the event log was calculated
+ * @return {{datetime: Date, issueId: number, event: string, eventDetails: {}}[]} a new time ordered log of events
+ */
+function updateEventLogForIssues(eventLog, issues, changedIssueIds) {
+  if (changedIssueIds.size == 0) return eventLog;
+
+  let unchangedEvents = eventLog.filter((event) => {return !changedIssueIds.has(event.issueId)});
+  let changedEvents = calculateFullEventLog(issues.filter((issue) => {return changedIssueIds.has(issue.id)}));
+
+  // Merge the two time ordered logs. Events at the same time are ordered by issue ID, as they would be in the full calculation.
+  let mergedEventLog = [];
+  let u = 0;
+  let c = 0;
+  while (u < unchangedEvents.length && c < changedEvents.length) {
+    let timeDifference = unchangedEvents[u].datetime - changedEvents[c].datetime;
+    if (timeDifference < 0 || (timeDifference == 0 && unchangedEvents[u].issueId - changedEvents[c].issueId < 0)) {
+      mergedEventLog.push(unchangedEvents[u++]);
+    } else {
+      mergedEventLog.push(changedEvents[c++]);
+    }
+  }
+  while (u < unchangedEvents.length) mergedEventLog.push(unchangedEvents[u++]);
+  while (c < changedEvents.length) mergedEventLog.push(changedEvents[c++]);
+
+  return mergedEventLog;
+}
+
 /**
  * 
  * @param {Object.<number, {id: number, key: string, type: string, size: number, parentId: number, parentKey: string, children: *[]}>} issues dictionary of issueId against issue
@@ -1812,8 +4389,8 @@ function isChildOf(issues, keyToIdMap, issue, parentIssueId) {
 }
 
 /**
- * Calculates the total size of an issue including all of its children
- * @param {{id: number, key: string, type: string, size: number, parentId: number, parentKey: string, children: *[], versions: number[]}} issue The issue to calculate the size of
+ * Calculates the total size of an issue including all of its children. Cancelled issues don't count towards the size.
+ * @param {{id: number, key: string, type: string, size: number, resolved: boolean, cancelled: boolean, parentId: number, parentKey: string, children: *[], versions: number[]}} issue The issue to calculate the size of
  * @param {boolean} onlyResolved If true, then only include points if it's resolved, otherwise everything counts
  * @return {number} total size of the issue in story points
  */
@@ -1822,10 +4399,35 @@ function calculateTotalSize(issue, onlyResolved) {
   issue.children.forEach(child => {
     totalSize+=calculateTotalSize(child, onlyResolved);
   });
-  totalSize+= (onlyResolved ? (issue.resolved ? issue.size : 0) : issue.size);
+  totalSize+= (onlyResolved ? getResolvedSize(issue) : getScopeSize(issue));
   return totalSize;
 }
 
+/**
+ * @param {{size: number, resolved: boolean, cancelled: boolean, deleted: boolean}} issue The issue (children are not included)
+ * @return {number} The size the issue contributes to scope - nothing if it's been cancelled or deleted
+ */
+function getScopeSize(issue) {
+  return issue.cancelled || issue.deleted ? 0 : issue.size;
+}
+
+/**
+ * @param {{size: number, resolved: boolean, cancelled: boolean, deleted: boolean}} issue The issue (children are not included)
+ * @return {number} The size the issue contributes to the burnup - nothing unless it's been resolved as done (and not deleted)
+ */
+function getResolvedSize(issue) {
+  return issue.resolved && !issue.deleted ? issue.size : 0;
+}
+
+/**
+ * @param {string} targetId The JIRA ID of the Initiative or Release
+ * @param {{done: string[], cancelled: string[]}} resolutions The resolutions that mean an issue is done or cancelled
+ * @return {string} The key of the scope and burnup cache entry for the target
+ */
+function getScopeAndBurnupCacheKey(targetId, resolutions) {
+  return targetId + "," + resolutions.done.join("|") + "," + resolutions.cancelled.join("|");
+}
+
 /**
  * 
  * @param {*} versionId The version ID we're maintaining
@@ -1860,16 +4462,19 @@ function maintainVersionMap(versionIssueMap, versionId, issue, addToVersion) {
 }
 
 /**
+ * @param {string} cacheKey The key to use for storing the results in the cache
  * @param {{now: Date, from: Date, to: Date, intervalMs: number, maxDataPoints: number}} window The range the data should be returned within
  * @param {{datetime: Date, issueId: number, event: string, eventDetails: {issueKey: string, size: number, type: string, parentKey: string, parentId: number, resolution: string, childId: number, versionId: number, versions: number[]}}[]} eventLog a time ordered log of events
  * @param {string} targetId The JIRA ID of the Initiative or Release we want to track the scope change of
  * @param {boolean} isRelease if true, then the ID specified is a Release ID, otherwise it's an initiative ID
+ * @param {{done: string[], cancelled: string[]}} resolutions Issues resolved as done count towards the burnup, issues resolved as cancelled are removed from scope
  */
-function calculateScopeAndBurnupTimeseries(window, eventLog, targetId, isRelease) {
+function calculateScopeAndBurnupTimeseries(cacheKey, window, eventLog, targetId, isRelease, resolutions) {
 
   // Work through the events in time, building up an in-memory record of issues and scope changes
   let scopeData = [];
   let burnupData = [];
+  let scopeChanges = [];
 
   // Dictionary of issueId against issue
   let issuesAtTime = {};
@@ -1891,6 +4496,7 @@ function calculateScopeAndBurnupTimeseries(window, eventLog, targetId, isRelease
     let eventDateTime = event.datetime;
     // Don't bother processing events after the end of the required range
     if (eventDateTime > window.to) break;
+    let totalSizeBeforeEvent = totalSize;
 
     if (event.event == "created") {
       // Add it to our database
@@ -1900,6 +4506,8 @@ function calculateScopeAndBurnupTimeseries(window, eventLog, targetId, isRelease
         type: event.eventDetails.type,
         size: event.eventDetails.size,
         resolved: false,
+        cancelled: false,
+        deleted: false,
         parentId: event.eventDetails.parentId,
         parentKey: event.eventDetails.parentKey,
         children: [],
@@ -1955,7 +4563,9 @@ function calculateScopeAndBurnupTimeseries(window, eventLog, targetId, isRelease
       issue.size = event.eventDetails.size;
 
       if ((isRelease && issue.versions.findIndex((value) => {return value == targetId;}) != -1) || (!isRelease && isChildOf(issuesAtTime, keyToIdMap, issue, targetId))) {
-        totalSize = totalSize - previousSize + issue.size;
+        if (!issue.cancelled) {
+          totalSize = totalSize - previousSize + issue.size;
+        }
         if (issue.resolved) {
           totalDoneSize = totalDoneSize - previousSize + issue.size;
         }
@@ -2000,18 +4610,32 @@ function calculateScopeAndBurnupTimeseries(window, eventLog, targetId, isRelease
       }
     } else if (event.event == "resolutionChange") {
       let issue = issuesAtTime[event.issueId];
+      // An issue being done or cancelled, doesn't mean that it's children are. They're handled independently.
+      let previousScopeSize = getScopeSize(issue);
+      let previousResolvedSize = getResolvedSize(issue);
 
       // Implement event
-      issue.resolved = (event.eventDetails.resolution == "Done");
+      issue.resolved = resolutions.done.includes(event.eventDetails.resolution);
+      issue.cancelled = resolutions.cancelled.includes(event.eventDetails.resolution);
 
       // Calculate size changes
       if ((isRelease && issue.versions.findIndex((value) => {return value == targetId;}) != -1 && (issue.type == 'Story' || issue.type == 'Bug')) || (!isRelease && isChildOf(issuesAtTime, keyToIdMap, issue, targetId))) {
-        if (issue.resolved) {
-          // An issue being done, doesn't mean that it's children are. They're handled independently.
-          totalDoneSize += issue.size;
-        } else {
-          totalDoneSize -= issue.size;
-        }
+        totalSize += getScopeSize(issue) - previousScopeSize;
+        totalDoneSize += getResolvedSize(issue) - previousResolvedSize;
+      }
+    } else if (event.event == "deleted") {
+      // The issue has gone from JIRA, so from now on it's neither scope nor done. As with resolutions, its children are handled independently.
+      let issue = issuesAtTime[event.issueId];
+      let previousScopeSize = getScopeSize(issue);
+      let previousResolvedSize = getResolvedSize(issue);
+
+      // Implement event
+      issue.deleted = true;
+
+      // Calculate size changes
+      if ((isRelease && issue.versions.findIndex((value) => {return value == targetId;}) != -1 && (issue.type == 'Story' || issue.type == 'Bug')) || (!isRelease && isChildOf(issuesAtTime, keyToIdMap, issue, targetId))) {
+        totalSize += getScopeSize(issue) - previousScopeSize;
+        totalDoneSize += getResolvedSize(issue) - previousResolvedSize;
       }
     } else if (isRelease && (event.event == "removeVersion" || event.event == "addVersion")) {
       let issue = issuesAtTime[event.issueId];
@@ -2052,6 +4676,18 @@ function calculateScopeAndBurnupTimeseries(window, eventLog, targetId, isRelease
       }
     }
 
+    // Record why the scope changed - against the child for events on the parent
+    if (totalSize != totalSizeBeforeEvent) {
+      let changedIssue = issuesAtTime[event.eventDetails.childId != null ? event.eventDetails.childId : event.issueId];
+      let points = totalSize - totalSizeBeforeEvent;
+      scopeChanges.push({
+        datetime: eventDateTime,
+        issueKey: changedIssue.key,
+        reason: event.event == "resolutionChange" && points > 0 ? REOPENED_SCOPE_CHANGE_REASON : SCOPE_CHANGE_REASONS[event.event],
+        points: points
+      });
+    }
+
     // Record the scope at this time
     if (totalSize != previousTotalSize) {
       scopeData.push([totalSize, Math.floor(eventDateTime)]);
@@ -2081,24 +4717,23 @@ function calculateScopeAndBurnupTimeseries(window, eventLog, targetId, isRelease
 
   // Update the cache
   let cache = isRelease? gReleaseScopeAndBurnupDataCache : gInitiativeScopeAndBurnupDataCache;
-  cache[targetId] = {
+  cache[cacheKey] = {
     scopeData: scopeData,
     burnupData: burnupData,
+    scopeChanges: scopeChanges,
     lastUpdateTime: window.now >= window.to ? window.to : window.now
   }
 
 }
 
 /**
- * Note: customfield_10016 = Story Points
- * 
  * @param {Object} issue - JIRA issue object
  * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
  * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
  * @returns {number} - The size as specified by the Story Points field or a default value if it isn't set
  */
 function getIssueSize(issue, addBugsDefault = false, bugDefaultSize) {
-  let size = issue.fields.customfield_10016;
+  let size = getIssueField(issue, 'storyPoints');
   if (size == null) {
     if (addBugsDefault) {
       return issue.fields.issuetype.name == 'Bug' ? bugDefaultSize : DEFAULT_STORY_SIZE;
@@ -2118,9 +4753,67 @@ function getIssueSize(issue, addBugsDefault = false, bugDefaultSize) {
  * @param {string[]} fromStatuses
  * @param {string[]} toStatuses
  * @param {Date} toDateTime The date beyond which status changes are in the future and should be disregarded from the calculation
+ * @param {Date} incompleteEndDateTime When the clock stops if the issue hasn't reached a to status (see calculateCycleTimeSpan)
+ * @param {Date} unstartedStartDateTime When the clock starts if the issue never left a from status (see calculateCycleTimeSpan)
  * @returns {number} - The cycle time as a time difference (in days)
  */ 
-function calculateCycleTime(statusChanges, fromStatuses, toStatuses, toDateTime) {
+function calculateCycleTime(statusChanges, fromStatuses, toStatuses, toDateTime, incompleteEndDateTime = null, unstartedStartDateTime = null) {
+  let cycleTimeSpan = calculateCycleTimeSpan(statusChanges, fromStatuses, toStatuses, toDateTime, incompleteEndDateTime, unstartedStartDateTime);
+  // Return the difference in days
+  return (cycleTimeSpan.end.getTime() - cycleTimeSpan.start.getTime()) / 1000 / 60 / 60 / 24;
+}
+
+/**
+ * Calculates the lead time from the creation of the issue to its transition to the first to status. Takes into account regressions within the period.
+ * 
+ * @param {Object} issue - The JIRA issue
+ * @param {{fromStatus: string, toStatus: string, datetime: Date}[]} statusChanges - a datetime ascending ordered array of the issue's status changes 
+ * @param {string[]} toStatuses
+ * @param {Date} toDateTime The date beyond which status changes are in the future and should be disregarded from the calculation
+ * @returns {number} - The lead time as a time difference (in days)
+ */ 
+function calculateLeadTime(issue, statusChanges, toStatuses, toDateTime) {
+  let cycleTimeSpan = calculateCycleTimeSpan(statusChanges, [], toStatuses, toDateTime);
+  return (cycleTimeSpan.end.getTime() - new Date(issue.fields.created).getTime()) / DAY_MS;
+}
+
+/**
+ * Splits the cycle time (see calculateCycleTime) into the time spent in each status.
+ * 
+ * @param {{fromStatus: string, toStatus: string, datetime: Date}[]} statusChanges - a datetime ascending ordered array of status changes 
+ * @param {string[]} fromStatuses
+ * @param {string[]} toStatuses
+ * @param {Date} toDateTime The date beyond which status changes are in the future and should be disregarded from the calculation
+ * @returns {Object.<string, number>} - The time spent in each status (in days)
+ */
+function calculateTimeInStatuses(statusChanges, fromStatuses, toStatuses, toDateTime) {
+  let cycleTimeSpan = calculateCycleTimeSpan(statusChanges, fromStatuses, toStatuses, toDateTime);
+  let timesInStatus = {};
+  // Each status change starts a period in its toStatus which lasts until the next status change
+  for (let i = 0; i < statusChanges.length; i++) {
+    let periodStart = Math.max(statusChanges[i].datetime.getTime(), cycleTimeSpan.start.getTime());
+    let periodEnd = Math.min(i + 1 < statusChanges.length ? statusChanges[i+1].datetime.getTime() : Infinity, cycleTimeSpan.end.getTime());
+    if (periodEnd > periodStart) {
+      timesInStatus[statusChanges[i].toStatus] = (timesInStatus[statusChanges[i].toStatus] || 0) + (periodEnd - periodStart) / DAY_MS;
+    }
+  }
+  return timesInStatus;
+}
+
+/**
+ * Works out when the cycle-time clock starts and stops (see calculateCycleTime).
+ * 
+ * @param {{fromStatus: string, toStatus: string, datetime: Date}[]} statusChanges - a datetime ascending ordered array of status changes 
+ * @param {string[]} fromStatuses
+ * @param {string[]} toStatuses
+ * @param {Date} toDateTime The date beyond which status changes are in the future and should be disregarded from the calculation
+ * @param {Date} incompleteEndDateTime When the clock stops if the issue hasn't reached a to status, e.g. now for the age of
+ * work in progress. Defaults to the issue's last status change.
+ * @param {Date} unstartedStartDateTime When the clock starts if the issue never left a from status (i.e. it was created
+ * further down the value stream), e.g. its creation for the age of work in progress. Defaults to its first status change.
+ * @returns {{start: Date, end: Date}} - When the clock starts and stops
+ */
+function calculateCycleTimeSpan(statusChanges, fromStatuses, toStatuses, toDateTime, incompleteEndDateTime = null, unstartedStartDateTime = null) {
   let firstTimeForFirstStatus;
   // We want the first time that the issues transitioned from a fromStatus to something else
   for (let i = 0; i < statusChanges.length; i++) {
@@ -2132,7 +4825,7 @@ function calculateCycleTime(statusChanges, fromStatuses, toStatuses, toDateTime)
     }
   }
   // If we haven't got a start status, then count it from creation - it was created further down the value stream
-  if (firstTimeForFirstStatus == null) firstTimeForFirstStatus = statusChanges[0].datetime;
+  if (firstTimeForFirstStatus == null) firstTimeForFirstStatus = unstartedStartDateTime != null ? unstartedStartDateTime : statusChanges[0].datetime;
 
   let lastTimeForLastStatus;
   for (let i = statusChanges.length - 1; i >= 0; i--) {
@@ -2144,14 +4837,13 @@ function calculateCycleTime(statusChanges, fromStatuses, toStatuses, toDateTime)
       }
     }
   }
-  // This function should not have been called with any issues that don't complete, but just in case, just return the toDateTime rather than crash out
+  // This function should not normally be called with any issues that don't complete, but just in case, use the last
+  // status change rather than crash out (unless the caller wants the clock to keep running, e.g. for work item age)
   if (lastTimeForLastStatus == null) {
-    if(statusChanges)
-    lastTimeForLastStatus = statusChanges[statusChanges.length-1].datetime;
+    lastTimeForLastStatus = incompleteEndDateTime != null ? incompleteEndDateTime : statusChanges[statusChanges.length-1].datetime;
   }
 
-  // Return the difference in days
-  return (lastTimeForLastStatus.getTime() - firstTimeForFirstStatus.getTime()) / 1000 / 60 / 60 / 24;
+  return {start: firstTimeForFirstStatus, end: lastTimeForLastStatus};
 }
 
 /**
@@ -2185,6 +4877,101 @@ function getStatusChangesByIssueKeyMap(issues) {
   return statusChangeMap;
 }
 
+/**
+ * Works out which sprints an issue was in at a point in time from its history
+ * 
+ * @param {Object} issue - JIRA issue object
+ * @param {Date} dateTime The point in time (null for now)
+ * @returns {number[]} - The IDs of the sprints the issue was in
+ */
+function getSprintIdsAt(issue, dateTime) {
+  const sprintFieldId = getFieldId('sprint');
+  // The sprint field history holds comma separated sprint IDs, e.g. "12, 13"
+  const parseSprintIds = (ids) => {
+    return ids == null || ids == "" ? [] : ids.split(",").map((id) => {return parseInt(id)});
+  };
+
+  // Nothing can be in a sprint before it exists (an issue created straight in to a sprint has no sprint history)
+  if (dateTime != null && dateTime < new Date(issue.fields.created)) return [];
+
+  let sprintChanges = [];
+  issue.changelog.histories.forEach((history) => {
+    history.items.forEach((item) => {
+      if (item.fieldId == sprintFieldId) sprintChanges.push({datetime: new Date(history.created), from: item.from, to: item.to});
+    });
+  });
+  sprintChanges.sort((a, b) => { return a.datetime - b.datetime });
+
+  if (dateTime != null) {
+    let lastChange = sprintChanges.filter((sprintChange) => {return sprintChange.datetime <= dateTime}).pop();
+    if (lastChange != null) return parseSprintIds(lastChange.to);
+    // If it's not changed since then, then it's the same as before the first change
+    if (sprintChanges.length > 0) return parseSprintIds(sprintChanges[0].from);
+  }
+
+  // The current value is an array of sprint objects (or on older JIRA servers, strings like "...Sprint@1a2b[id=12,...]")
+  let sprints = getIssueField(issue, 'sprint') || [];
+  return sprints.map((sprint) => {
+    return typeof sprint == "string" ? parseInt((sprint.match(/id=(\d+)/) || [])[1]) : sprint.id;
+  });
+}
+
+/**
+ * Picks the size history of each of the issues out of the event log
+ * 
+ * @param {Object[]} issues - JIRA issue objects array
+ * @param {{datetime: Date, issueId: number, event: string, eventDetails: {size: number}}[]} eventLog The full event log
+ * @returns {Object.<string, Object[]>} - dictionary of JIRA issue IDs mapped to the issue's "created" and "sizeChange" events, in datetime order
+ */
+function getSizeEventsByIssueId(issues, eventLog) {
+  let sizeEventsByIssueId = {};
+  issues.forEach((issue) => {
+    sizeEventsByIssueId[issue.id] = [];
+  });
+  eventLog.forEach((event) => {
+    if ((event.event == "created" || event.event == "sizeChange") && sizeEventsByIssueId.hasOwnProperty(event.issueId)) {
+      sizeEventsByIssueId[event.issueId].push(event);
+    }
+  });
+  return sizeEventsByIssueId;
+}
+
+/**
+ * Works out the size of an issue at a point in time from its size history in the event log
+ * 
+ * @param {Object} issue - JIRA issue object
+ * @param {{datetime: Date, issueId: number, event: string, eventDetails: {size: number}}[]} sizeEvents - the issue's "created" and "sizeChange" events from the event log, in datetime order
+ * @param {Date} dateTime The point in time
+ * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
+ * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ * @returns {number} - The size (or a default value if it wasn't set)
+ */
+function getIssueSizeAt(issue, sizeEvents, dateTime, addBugsDefault = false, bugDefaultSize) {
+  let lastSizeEvent = sizeEvents.filter((sizeEvent) => {return sizeEvent.datetime <= dateTime}).pop();
+  if (lastSizeEvent == null) return getIssueSize(issue, addBugsDefault, bugDefaultSize);
+  let size = lastSizeEvent.eventDetails.size;
+  if (size == null) {
+    return addBugsDefault && issue.fields.issuetype.name == 'Bug' ? bugDefaultSize : DEFAULT_STORY_SIZE;
+  }
+  return size;
+}
+
+/**
+ * Works out which status an issue was in at a point in time
+ * 
+ * @param {Object} issue - JIRA issue object
+ * @param {{fromStatus: string, toStatus: string, datetime: Date}[]} statusChanges - a datetime ascending ordered array of the issue's status changes 
+ * @param {Date} dateTime The point in time
+ * @returns {string} - The status (null if the issue didn't exist yet)
+ */
+function getStatusAt(issue, statusChanges, dateTime) {
+  if (new Date(issue.fields.created) > dateTime) return null;
+  let lastStatusChange = statusChanges.filter((statusChange) => {return statusChange.datetime <= dateTime}).pop();
+  if (lastStatusChange != null) return lastStatusChange.toStatus;
+  // No transitions yet, so it's in the status it was created in
+  return statusChanges.length > 0 ? statusChanges[0].fromStatus : issue.fields.status.name;
+}
+
 /**
  * Puts together a complete list of JIRA issue transitions (including regressions)
  * 
@@ -2210,6 +4997,23 @@ function getStatusChangesList(issues) {
   return statusChangeList.sort((a, b) => { return a.datetime - b.datetime });
 }
 
+/**
+ * Finds every transition that moved an issue backwards in the value stream, e.g. "Test Review" -> "Dev". Moves into or
+ * out of cancelled statuses, or involving statuses that aren't in the value stream, aren't counted.
+ * 
+ * @param {Object[]} issues - JIRA issue objects array
+ * @param {{statuses: string[], cancelledStatuses: string[]}} valueStream The value stream that defines the order of the statuses
+ * @returns {{issue: Object, fromStatus: string, toStatus: string, datetime: Date}[]} - array of backward transitions ordered by transition datetime
+ */
+function getBackwardMoves(issues, valueStream) {
+  return getStatusChangesList(issues).filter((statusChange) => {
+    const inFlow = [statusChange.fromStatus, statusChange.toStatus].every((status) => {
+      return valueStream.statuses.includes(status) && !valueStream.cancelledStatuses.includes(status);
+    });
+    return inFlow && earlierThan(statusChange.toStatus, statusChange.fromStatus, valueStream);
+  });
+}
+
 /**
  * Determines dates of transitions to and from an array of statuses that are considered "complete"
  * 
@@ -2254,76 +5058,161 @@ function getCompletionEvents(statusChangeMap, toStatuses, completionOnly = false
 }
 
 /**
- * 
+ *
  * @param {Object.<string, {issue: Object, statusChanges: {fromStatus: string, toStatus: string, datetime: Date}[]}>} statusChangeMap - dictionary of JIRA issue keys mapped to a datetime ascending ordered array of status changes (including ONLY issues that COMPLETE)
- * @return {number} The average cycle time per point - will return NaN if it's effectively infinity (i.e. nothing's moved)
+ * @param {string[]} fromStatuses When an issue leaves these statuses, the clock starts. If null, the lead time is calculated instead (see calculateLeadTime)
+ * @param {boolean} perPoint if true then each cycle time is divided by the ticket size (and "0" point tickets are ignored)
+ * @return {number[]} The cycle time (or cycle time per point) of each issue in days
  */
-function calculateAverageCycleTimePerPointForIssues(statusChangeMap, fromStatuses, toStatuses, toDateTime) {
+function calculateCycleTimesForIssues(statusChangeMap, fromStatuses, toStatuses, toDateTime, perPoint) {
 
-  let totalCycleTimePerPoint = 0;
-  let ignoreIssues = 0;
+  let cycleTimes = [];
   // For each issue's transitions
-  for (var issueKey in statusChangeMap) {
+  for (const issueKey in statusChangeMap) {
     // Get their cycle time (from transition out of last from status to transition to first to status)
-    let cycleTime = calculateCycleTime(statusChangeMap[issueKey].statusChanges, fromStatuses, toStatuses, toDateTime);
+    const cycleTime = fromStatuses == null ?
+      calculateLeadTime(statusChangeMap[issueKey].issue, statusChangeMap[issueKey].statusChanges, toStatuses, toDateTime) :
+      calculateCycleTime(statusChangeMap[issueKey].statusChanges, fromStatuses, toStatuses, toDateTime);
     // Divide that cycle time by the ticket size
-    let size = getIssueSize(statusChangeMap[issueKey].issue);
-    // Ignore "0" point stories in cycle time calculations
-    if (size == 0) {
-      ignoreIssues++;
-    } else {
-      let cycleTimePerPoint = cycleTime / size;
-      // Add it to the total
-      totalCycleTimePerPoint += cycleTimePerPoint;
+    const size = getIssueSize(statusChangeMap[issueKey].issue);
+    // Ignore "0" point stories in per point cycle time calculations
+    if (!(size == 0 && perPoint === true)) {
+      cycleTimes.push(cycleTime / (perPoint ? size : 1));
     }
-  };
-
-  // Average them
-  return totalCycleTimePerPoint / (Object.keys(statusChangeMap).length - ignoreIssues);
+  }
+  return cycleTimes;
 
 }
 
-
 /**
  *
  * @param {Object.<string, {issue: Object, statusChanges: {fromStatus: string, toStatus: string, datetime: Date}[]}>} statusChangeMap - dictionary of JIRA issue keys mapped to a datetime ascending ordered array of status changes (including ONLY issues that COMPLETE)
- * @return {number} The average cycle time per point - will return NaN if it's effectively infinity (i.e. nothing's moved)
+ * @param {boolean} perPoint if true then each cycle time is divided by the ticket size (and "0" point tickets are ignored)
+ * @param {string} statistic The statistic to calculate (see calculateStatistic)
+ * @return {number} The cycle time statistic - will return NaN if it's effectively infinity (i.e. nothing's moved)
  */
-function calculateAverageCycleTimeForIssues(statusChangeMap, fromStatuses, toStatuses, toDateTime, perPoint) {
+function calculateCycleTimeStatisticForIssues(statusChangeMap, fromStatuses, toStatuses, toDateTime, perPoint, statistic = "mean") {
 
-  let totalCycleTimeMetric = 0;
-  let ignoreIssues = 0;
-  // For each issue's transitions
-  for (const issueKey in statusChangeMap) {
-    // Get their cycle time (from transition out of last from status to transition to first to status)
-    const cycleTime = calculateCycleTime(statusChangeMap[issueKey].statusChanges, fromStatuses, toStatuses, toDateTime);
-    // Divide that cycle time by the ticket size
-    const size = getIssueSize(statusChangeMap[issueKey].issue);
-    // Ignore "0" point stories in cycle time calculations, can abstract this block to a callback
-    if (size == 0 && perPoint === true) {
-      ignoreIssues++;
-    } else {
-      // Add it to the total
-      totalCycleTimeMetric += cycleTime / (perPoint ? size : 1);
+  return calculateStatistic(calculateCycleTimesForIssues(statusChangeMap, fromStatuses, toStatuses, toDateTime, perPoint), statistic);
+
+}
+
+/**
+ * 
+ * @param {number[]} values The values to calculate the statistic from
+ * @param {string} statistic One of STATISTICS: 'mean', 'median', 'p85', 'p95', 'min', 'max' or 'stddev' (population standard deviation), as checked by getStatistic
+ * @return {number} The statistic - NaN if there are no values
+ */
+function calculateStatistic(values, statistic) {
+  if (values.length == 0) return NaN;
+  let mean = values.reduce((total, value) => {return total + value}, 0) / values.length;
+  switch (statistic) {
+    case "median": return calculatePercentile(values, 50);
+    case "p85": return calculatePercentile(values, 85);
+    case "p95": return calculatePercentile(values, 95);
+    case "min": return Math.min(...values);
+    case "max": return Math.max(...values);
+    case "stddev":
+      return Math.sqrt(values.reduce((total, value) => {return total + Math.pow(value - mean, 2)}, 0) / values.length);
+    case "mean":
+      return mean;
+  }
+}
+
+/**
+ * Calculates the points delivered on each of the days leading up to a point in time. Regressions take points away.
+ * 
+ * @param {{completionTransitionDateTime: Date, transitionType: string, issue: *}[]} completionEvents The completion events (see getCompletionEvents)
+ * @param {Date} endDateTime The end of the last day
+ * @param {number} days The number of days
+ * @param {boolean} addBugsDefault - if true then if bugs don't have a size then their size is returned with a default bug size
+ * @param {number} bugDefaultSize - The default size to use for bugs if addBugsDefault is true
+ * @return {number[]} The points delivered on each day, oldest first
+ */
+function calculateDailyVelocities(completionEvents, endDateTime, days, addBugsDefault, bugDefaultSize) {
+  let dailyVelocities = new Array(days).fill(0);
+  let startTime = endDateTime.getTime() - days * DAY_MS;
+  completionEvents.forEach(completionEvent => {
+    let eventTime = completionEvent.completionTransitionDateTime.getTime();
+    if (eventTime > startTime && eventTime <= endDateTime.getTime()) {
+      let dayIndex = Math.min(days - 1, Math.floor((eventTime - startTime) / DAY_MS));
+      let deltaV = getIssueSize(completionEvent.issue, addBugsDefault, bugDefaultSize);
+      dailyVelocities[dayIndex] += (completionEvent.transitionType == "regression" ? -deltaV : deltaV);
+    }
+  });
+  return dailyVelocities;
+}
+
+/**
+ * Simulates possible futures for a burnup by repeatedly picking a day at random from the daily velocity samples.
+ * 
+ * @param {number[]} dailyVelocities The points delivered per day to sample from
+ * @param {number} remainingScope The points left to deliver
+ * @param {number} horizonDays The number of days to record the burnup for
+ * @param {number} trials The number of futures to simulate
+ * @return {{burnupsByDay: number[][], completionDays: number[]}} For each day up to the horizon, the points burnt up by then in each simulation. And for each simulation, the number of days to deliver the remaining scope (Infinity if it didn't within MONTE_CARLO_MAX_DAYS).
+ */
+function simulateBurnups(dailyVelocities, remainingScope, horizonDays, trials) {
+  let burnupsByDay = [];
+  for (let day = 0; day < horizonDays; day++) burnupsByDay.push([]);
+  let completionDays = [];
+  // If nothing's ever delivered then no simulation will ever finish, so don't bother simulating beyond the horizon
+  let canComplete = remainingScope <= 0 || dailyVelocities.some(v => {return v > 0});
+  let lastDay = canComplete ? Math.max(horizonDays, MONTE_CARLO_MAX_DAYS) : horizonDays;
+
+  for (let trial = 0; trial < trials; trial++) {
+    let burnup = 0;
+    let completionDay = remainingScope <= 0 ? 0 : Infinity;
+    for (let day = 0; day < lastDay && (day < horizonDays || completionDay == Infinity); day++) {
+      if (dailyVelocities.length > 0) {
+        burnup += dailyVelocities[Math.floor(Math.random() * dailyVelocities.length)];
+      }
+      if (day < horizonDays) burnupsByDay[day].push(burnup);
+      if (completionDay == Infinity && burnup >= remainingScope) completionDay = day + 1;
     }
+    completionDays.push(completionDay);
   }
 
-  // Average them
-  return totalCycleTimeMetric / (Object.keys(statusChangeMap).length - ignoreIssues);
+  return {
+    burnupsByDay: burnupsByDay,
+    completionDays: completionDays
+  };
+}
 
+/**
+ * Calculates a percentile of a set of values, interpolating between the closest ranks. Infinite values (e.g. the
+ * completion days of simulations that never finished) rank above every finite value, so the percentile is Infinity
+ * if it falls among them.
+ * 
+ * @param {number[]} values The values (don't need to be sorted)
+ * @param {number} percentile The percentile, from 0 to 100
+ * @return {number} The value at the percentile (NaN if there are no values)
+ */
+function calculatePercentile(values, percentile) {
+  if (values.length == 0) return NaN;
+  // Only sort the finite values, as Infinity - Infinity is NaN which would confuse the sort
+  let sortedValues = values.filter(value => {return isFinite(value)}).sort((a, b) => {return a - b});
+  let rank = (percentile / 100) * (values.length - 1);
+  let lowerIndex = Math.floor(rank);
+  let upperIndex = Math.ceil(rank);
+  if (lowerIndex >= sortedValues.length) return Infinity;
+  // Don't interpolate towards an infinite value
+  if (lowerIndex == upperIndex || upperIndex >= sortedValues.length) return sortedValues[lowerIndex];
+  return sortedValues[lowerIndex] + (sortedValues[upperIndex] - sortedValues[lowerIndex]) * (rank - lowerIndex);
 }
 
 /**
  * 
  * @param {string} toStatus The status to start from
+ * @param {{statuses: string[], cancelledStatuses: string[]}} valueStream The value stream the statuses belong to
  * @param {boolean} completionOnly if true then statuses that are considered "cancelled" are removed
  * @return {string[]} an array of statuses starting with toStatus
  */
-function getFutureStatusesFromStartingStatus(toStatus, completionOnly = false) {
+function getFutureStatusesFromStartingStatus(toStatus, valueStream, completionOnly = false) {
   // Statuses are in value stream order, so get every status after the one we want
   let futureStatuses = [toStatus];
   let gotIt = false;
-  STATUSES.forEach(status => {
+  valueStream.statuses.forEach(status => {
     if (gotIt) {
       futureStatuses.push(status);
     } else if (status == toStatus) {
@@ -2332,7 +5221,7 @@ function getFutureStatusesFromStartingStatus(toStatus, completionOnly = false) {
   });
   if (completionOnly) {
     futureStatuses = futureStatuses.filter((value) => {
-      return !CANCELLED_STATUSES.includes(value);
+      return !valueStream.cancelledStatuses.includes(value);
     });
   }
   return futureStatuses;
@@ -2341,13 +5230,14 @@ function getFutureStatusesFromStartingStatus(toStatus, completionOnly = false) {
 /**
  * 
  * @param {string} endStatus The status to finish on
+ * @param {{statuses: string[], cancelledStatuses: string[]}} valueStream The value stream the statuses belong to
  * @return {string[]} an ordered array of statuses starting before endStatus
  */
-function getPreviousStatusesFromStartingStatus(endStatus) {
+function getPreviousStatusesFromStartingStatus(endStatus, valueStream) {
   // Statuses are in value stream order, so get every status before the one we want
   let previousStatuses = [];
   let gotIt = false;
-  STATUSES.forEach(status => {
+  valueStream.statuses.forEach(status => {
     if (!gotIt) {
       previousStatuses.push(status);
     }
@@ -2358,20 +5248,66 @@ function getPreviousStatusesFromStartingStatus(endStatus) {
   return previousStatuses;
 }
 
+/**
+ * Builds the JQL clauses that the ticket table (and Acceptance Criteria conformance) searches start with, restricting
+ * them to the target's project and team. These metrics need a projectKey, so they don't search every project in JIRA.
+ * Everything from the target that goes in to the JQL is checked first so a query can't change what's searched for.
+ * 
+ * @param {*} target The request target object
+ * @param {boolean} usesLookback true if the search uses the target's lookback, which must be a JQL relative date
+ * @return {string[]} The JQL clauses, to be joined with AND
+ * @throws {Error} If the projectKey, teamId or lookback isn't valid
+ */
+function getTicketQueryJQLClauses(target, usesLookback = false) {
+  let projectKey = getProjectKey(target);
+  if (projectKey == null || !PROJECT_KEY_PATTERN.test(projectKey)) {
+    throw new Error(target.target + " needs a projectKey such as ENG (got " + JSON.stringify(projectKey) + ")");
+  }
+  let clauses = ['project = "' + projectKey + '"'];
+  let teamId = getTeamId(target);
+  if (teamId != null) {
+    if (!TEAM_ID_PATTERN.test(String(teamId))) {
+      throw new Error("Invalid teamId: " + JSON.stringify(teamId) + " (expected a numeric team ID)");
+    }
+    clauses.push(getJQLFieldName('team') + ' = ' + teamId);
+  }
+  if (usesLookback && !LOOKBACK_PATTERN.test(getLookback(target))) {
+    throw new Error("Invalid lookback: " + JSON.stringify(getLookback(target)) + " (expected a JQL relative date such as -1w or -10d)");
+  }
+  return clauses;
+}
+
+/**
+ * @param {string} value A value to search for, e.g. a label or status name
+ * @return {string} The value as a quoted JQL string, with any quotes or backslashes in it escaped
+ */
+function getJQLString(value) {
+  return '"' + String(value).replace(/["\\]/g, '\\$&') + '"';
+}
+
+/**
+ * @param {string} fieldKey The key of the field in DEFAULT_FIELDS, e.g. 'team'
+ * @return {string} The name to use for the field in JQL, e.g. 'cf[10001]'
+ */
+function getJQLFieldName(fieldKey) {
+  let fieldId = getFieldId(fieldKey);
+  return isFieldId(fieldId) ? 'cf[' + fieldId.replace('customfield_', '') + ']' : fieldId;
+}
+
 function getInStringFromStatusArray(statusArray) {
   let updatedArray = [];
   statusArray.forEach(status => {
-    updatedArray.push('"' + status + '"');
+    updatedArray.push(getJQLString(status));
   });
   return updatedArray.join(',');
 }
 
-function earlierThan(a, b) {
-  return STATUSES.indexOf(a) < STATUSES.indexOf(b);
+function earlierThan(a, b, valueStream) {
+  return valueStream.statuses.indexOf(a) < valueStream.statuses.indexOf(b);
 }
 
-function laterThan(a, b) {
-  return STATUSES.indexOf(a) > STATUSES.indexOf(b);
+function laterThan(a, b, valueStream) {
+  return valueStream.statuses.indexOf(a) > valueStream.statuses.indexOf(b);
 }
 
 /**
@@ -2396,9 +5332,9 @@ function logStatusChangeListForIssues(issues) {
  * @param {*} teamId 
  */
 function filterOutIssues(fullIssuesArray, projectKey, teamId) {
-  // Filter out Epics and Initiatives
+  // Filter out Epics and Initiatives, and issues that have gone from JIRA
   let filteredIssueArray = fullIssuesArray.filter((issue) => {
-    return issue.fields.issuetype.name != "Initiative" && issue.fields.issuetype.name != "Epic";
+    return issue.deleted == null && issue.fields.issuetype.name != "Initiative" && issue.fields.issuetype.name != "Epic";
   });
 
   // If we're only interested in a specific project (which is likely) then filter it down further
@@ -2412,11 +5348,11 @@ function filterOutIssues(fullIssuesArray, projectKey, teamId) {
   if (teamId != null) {
     filteredIssueArray = filteredIssueArray.filter((issue) => {
       // If the team is defined, then use it - otherwise it's filtered out
-      if (issue.fields.hasOwnProperty('customfield_10001')) {
-        if (issue.fields.customfield_10001 != null) {
-          return issue.fields.customfield_10001.id == teamId;
-        }
+      let team = getIssueField(issue, 'team');
+      if (team != null) {
+        return team.id == teamId;
       }
+      return false;
     });
   }
   return filteredIssueArray;
@@ -2464,25 +5400,101 @@ gApp.post('/query',
     let window = getWindowFromRequest(httpReq.body);
     let requestId = getRequestIDFromRequest(httpReq.body);
 
-    let p = [];
-    httpReq.body.targets.forEach(target => {
-      let ps = getPromisesForMetric(requestId, window, target, result);
-      if (ps != null) {
-        if (Array.isArray(ps)) {
-          p.push(...ps);
-        } else {
-          p.push(ps);
-        }
+    // Field IDs etc. need to be known before we can work anything out
+    gReadyPromise.then(() => {
+      if (gRefreshIntervalMs > 0) {
+        recordQueryForRefresh(httpReq.body, window);
+        // The caches are refreshed in the background, so answer from the latest snapshot rather than waiting for
+        // JIRA - unless there isn't a snapshot yet
+        if (gSnapshotTime != null) window.now = new Date(gSnapshotTime);
       }
-    });
-    
-    // Once all promises resolve, return result
-    Promise.all(p).then(() => {
+      let p = [];
+      httpReq.body.targets.forEach(target => {
+        let ps = getPromisesForMetric(requestId, window, target, result);
+        if (ps != null) {
+          if (Array.isArray(ps)) {
+            p.push(...ps);
+          } else {
+            p.push(ps);
+          }
+        }
+      });
+      return Promise.all(p);
+    }).then(() => {
+      // Once all promises resolve, return result
       httpRes.json(result)
+    }).catch((err) => {
+      console.error(requestId + ": Error executing query");
+      console.error(err);
+      httpRes.status(500).json({error: "Error executing query " + requestId + ": " + (err instanceof Error ? err.message : err)});
     });
 
   });
 
-gApp.listen(3030,'0.0.0.0')
+// Called by JIRA's issue created, updated and deleted webhooks to keep the issue cache up to date between refreshes.
+// Authenticated by a shared secret (see isWebhookAuthentic) rather than the datasource's credentials.
+gApp.post('/webhooks/jira',
+  (httpReq, httpRes) => {
+
+    if (!isWebhookAuthentic(httpReq)) {
+      console.warn("Rejected JIRA webhook: missing or incorrect secret");
+      httpRes.status(401).json({error: "Missing or incorrect webhook secret"});
+      return;
+    }
+
+    let webhookEvent = httpReq.body.webhookEvent;
+    let issueId = httpReq.body.issue != null ? httpReq.body.issue.id : null;
+    if (!['jira:issue_created', 'jira:issue_updated', 'jira:issue_deleted'].includes(webhookEvent) || issueId == null) {
+      httpRes.status(400).json({error: "Expected a jira:issue_created, jira:issue_updated or jira:issue_deleted webhook with an issue"});
+      return;
+    }
+
+    let requestId = "Webhook" + (++gWebhookCount);
+    gReadyPromise.then(() => {
+      return getWebhookIssueUpdatePromise(requestId, webhookEvent, issueId);
+    }).then((action) => {
+      httpRes.json({issueId: issueId, action: action});
+    }).catch((err) => {
+      console.error(requestId + ": Error handling JIRA webhook for issue " + issueId);
+      console.error(err);
+      httpRes.status(502).json({error: "Could not update issue " + issueId + " from JIRA"});
+    });
+
+  });
+
+// The tests (see test/) load the service without starting the server
+if (process.env.NODE_ENV != 'test') {
+  gApp.listen(3030,'0.0.0.0')
+
+  console.info('Server is listening on port 3030')
+}
+
+/* ========================== */
+/* EXPORTS (for the tests)    */
+/* ========================== */
 
-console.info('Server is listening on port 3030')
\ No newline at end of file
+export {
+  gApp,
+  gReadyPromise,
+  gJira,
+  gCaches,
+  gCacheManagementLock,
+  gCacheStore,
+  calculateFullEventLog,
+  updateEventLogForIssues,
+  getSprintIdsAt,
+  getSprintBurndownPromise,
+  getSprintVelocityPromise,
+  reconcileIssueCache,
+  isWebhookAuthentic,
+  reloadCachesFromStore,
+  calculateStatistic,
+  getStatistic,
+  getLeadTimePromise,
+  getWorkItemAgePromise,
+  calculatePercentile,
+  simulateBurnups,
+  getTicketQueryJQLClauses,
+  getHighVizTicketsPromise,
+  getTicketsFinishedLastWeekPromise
+};
\ No newline at end of file
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('./load-server');
+const {makeIssue, statusChange} = require('./helpers');
+
+test('getLeadTimePromise', async (t) => {
+  await server.gReadyPromise;
+
+  // Completed a week apart from being created, with nearly seven weeks between the two completions
+  let issues = [
+    makeIssue({id: '1', created: '2025-12-31T12:00:00.000Z', histories: [statusChange('2026-01-07T12:00:00.000Z', 'Dev', 'Deployed')]}),
+    makeIssue({id: '2', created: '2026-02-16T12:00:00.000Z', histories: [statusChange('2026-02-23T12:00:00.000Z', 'Dev', 'Deployed')]})
+  ];
+  const now = new Date('2026-03-01T00:00:00.000Z');
+  server.gCaches.fullIssueArrayCache = issues;
+  server.gCaches.fullIssueArrayCacheLastUpdateTime = now;
+
+  await t.test('keeps plotting after an interval with nothing completed', async () => {
+    const window = {now: now, from: new Date('2026-01-01T00:00:00.000Z'), to: now, intervalMs: 7 * 86400000, maxDataPoints: 100};
+    let result = [];
+    await server.getLeadTimePromise('Q1', window, {refId: 'A', data: {toStatus: 'Deployed', days: 14}}, result);
+    // The 8th and 15th of January have the first completion within the last 14 days, and the 26th of February the second
+    assert.deepStrictEqual(result[0].datapoints, [
+      [7, Date.parse('2026-01-08T00:00:00.000Z')],
+      [7, Date.parse('2026-01-15T00:00:00.000Z')],
+      [7, Date.parse('2026-02-26T00:00:00.000Z')],
+      [7, Date.parse('2026-03-01T00:00:00.000Z')]
+    ]);
+  });
+
+  await t.test('counts the tickets in each bucket of a distribution', async () => {
+    const window = {now: now, from: new Date('2026-01-01T00:00:00.000Z'), to: now, intervalMs: 86400000, maxDataPoints: 100};
+    const distribution = async (bucketDays) => {
+      let result = [];
+      await server.getLeadTimePromise('Q1', window, {refId: 'A', data: {toStatus: 'Deployed', format: 'distribution', bucketDays: bucketDays}}, result);
+      return result[0].rows;
+    };
+
+    assert.deepStrictEqual(await distribution(5), [[0, 0], [5, 2]]);
+    // Far too many buckets, so they're widened
+    let rows = await distribution(1e-8);
+    assert.ok(rows.length <= 1000, rows.length + " rows");
+    assert.strictEqual(rows.reduce((total, row) => {return total + row[1]}, 0), 2);
+  });
+
+  await t.test('rejects bucket widths that aren\'t a positive number of days', async () => {
+    const window = {now: now, from: new Date('2026-01-01T00:00:00.000Z'), to: now, intervalMs: 86400000, maxDataPoints: 100};
+    for (let bucketDays of [0, -1, 'x', null]) {
+      assert.throws(() => {
+        server.getLeadTimePromise('Q1', window, {refId: 'A', data: {toStatus: 'Deployed', format: 'distribution', bucketDays: bucketDays}}, []);
+      }, /Invalid bucketDays/);
+    }
+  });
+});
+
+test('getWorkItemAgePromise', async (t) => {
+  await server.gReadyPromise;
+
+  const now = new Date('2026-01-21T00:00:00.000Z');
+  const window = {now: now, from: new Date('2026-01-01T00:00:00.000Z'), to: now, intervalMs: 86400000, maxDataPoints: 100};
+  const ages = async (issues) => {
+    server.gCaches.fullIssueArrayCache = issues;
+    server.gCaches.fullIssueArrayCacheLastUpdateTime = now;
+    let result = [];
+    await server.getWorkItemAgePromise('Q1', window, {refId: 'A', data: {fromStatus: 'Prioritised', toStatus: 'Deployed'}}, result);
+    let agesByKey = {};
+    result[0].rows.forEach((row) => {agesByKey[row[0]] = row[3]});
+    return agesByKey;
+  };
+
+  await t.test('ages tickets from when they left the from status', async () => {
+    let issue = makeIssue({id: '1', created: '2026-01-01T00:00:00.000Z', status: 'Dev', histories: [statusChange('2026-01-11T00:00:00.000Z', 'Prioritised', 'Dev')]});
+    assert.deepStrictEqual(await ages([issue]), {'ENG-1': 10});
+  });
+
+  await t.test('ages tickets created past the from status from when they were created', async () => {
+    let neverMoved = makeIssue({id: '1', created: '2026-01-01T00:00:00.000Z', status: 'Dev'});
+    let moved = makeIssue({id: '2', created: '2026-01-01T00:00:00.000Z', status: 'In Review', histories: [statusChange('2026-01-11T00:00:00.000Z', 'Dev', 'In Review')]});
+    assert.deepStrictEqual(await ages([neverMoved, moved]), {'ENG-1': 20, 'ENG-2': 20});
+  });
+});
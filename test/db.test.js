@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {makeIssue, statusChange, sizeChange, resolutionChange} = require('./helpers');
+
+/**
+ * Just enough of a Postgres database for the statements the cache store runs: rows are kept in memory and every
+ * statement is recorded.
+ */
+class FakeDatabase {
+  constructor() {
+    this.issues = new Map();
+    this.events = [];
+    this.statements = [];
+  }
+
+  query(sql, params = []) {
+    sql = sql.trim();
+    this.statements.push(sql);
+    if (sql.startsWith('INSERT INTO issues')) {
+      for (let i = 0; i < params.length; i += 2) this.issues.set(Number(params[i]), params[i + 1]);
+    } else if (sql.startsWith('INSERT INTO events')) {
+      for (let i = 0; i < params.length; i += 4) {
+        this.events.push({issue_id: Number(params[i]), issue_seq: params[i + 1], datetime: params[i + 2], data: params[i + 3]});
+      }
+    } else if (sql.startsWith('DELETE FROM events WHERE issue_id = ANY')) {
+      let issueIds = params[0].map(Number);
+      this.events = this.events.filter((row) => {return !issueIds.includes(row.issue_id)});
+    } else if (sql.startsWith('SELECT data::text AS data FROM issues')) {
+      return Promise.resolve({rows: Array.from(this.issues.keys()).sort((a, b) => {return a - b}).map((id) => {return {data: this.issues.get(id)}})});
+    } else if (sql.startsWith('SELECT data::text AS data FROM events')) {
+      // Rows don't come back in the order they were inserted unless they're sorted that way
+      let rows = this.events.slice().reverse().sort((a, b) => {return (a.datetime - b.datetime) || (a.issue_id - b.issue_id) || (a.issue_seq - b.issue_seq)});
+      return Promise.resolve({rows: rows});
+    } else if (sql.startsWith('SELECT')) {
+      return Promise.resolve({rows: []});
+    }
+    return Promise.resolve({rows: []});
+  }
+}
+
+let gDatabase = new FakeDatabase();
+class FakePool {
+  on() {}
+  query(sql, params) {return gDatabase.query(sql, params)}
+  connect() {return Promise.resolve({query: (sql, params) => {return gDatabase.query(sql, params)}, release: () => {}})}
+}
+// Before the service (and so db.js) is loaded
+const pgPath = require.resolve('pg');
+require.cache[pgPath] = {id: pgPath, filename: pgPath, loaded: true, exports: {Pool: FakePool}};
+const server = require('./load-server');
+const {createPostgresCacheStore} = require('esm')(module)('../db.js');
+
+const SAME_TIME = '2026-01-10T12:00:00.000Z';
+
+test('createPostgresCacheStore', async (t) => {
+  await server.gReadyPromise;
+
+  const issues = [
+    makeIssue({id: '9', histories: [statusChange(SAME_TIME, 'Backlog', 'Dev'), sizeChange(SAME_TIME, 3, 5)]}),
+    makeIssue({id: '10', histories: [resolutionChange(SAME_TIME, 'Done'), sizeChange(SAME_TIME, 3, 2)]}),
+    makeIssue({id: '100', created: SAME_TIME})
+  ];
+  const eventLog = server.calculateFullEventLog(issues);
+
+  await t.test('reads the event log back in the same order', async () => {
+    gDatabase = new FakeDatabase();
+    let store = createPostgresCacheStore('postgres://test', JSON.dateParser);
+    await store.write('fullIssueArrayCache', issues);
+    await store.write('fullEventLogCache', eventLog);
+
+    assert.deepStrictEqual(JSON.stringify(await store.read('fullIssueArrayCache')), JSON.stringify(issues));
+    assert.deepStrictEqual(JSON.stringify(await store.read('fullEventLogCache')), JSON.stringify(eventLog));
+  });
+
+  await t.test('only writes the issues that have changed', async () => {
+    let otherInstanceIssue = makeIssue({id: '50'});
+    gDatabase.issues.set(50, JSON.stringify(otherInstanceIssue));
+    gDatabase.statements = [];
+
+    let store = createPostgresCacheStore('postgres://test', JSON.dateParser);
+    let changedIssues = issues.slice();
+    changedIssues[1] = makeIssue({id: '10', size: 13});
+    await store.write('fullIssueArrayCache', changedIssues, ['10']);
+
+    // Issue 50 was written by another instance, and is left alone
+    assert.deepStrictEqual((await store.read('fullIssueArrayCache')).map((issue) => {return [issue.id, issue.fields.customfield_10016]}), [['9', 3], ['10', 13], ['50', 3], ['100', 3]]);
+    assert.ok(!gDatabase.statements.some((sql) => {return sql.startsWith('DELETE FROM issues')}));
+  });
+
+  await t.test('only replaces the events of the issues that have changed', async () => {
+    let changedIssues = issues.slice();
+    changedIssues[0] = makeIssue({id: '9', histories: [resolutionChange(SAME_TIME, 'Done'), sizeChange(SAME_TIME, 3, 8)]});
+    let changedEventLog = server.updateEventLogForIssues(eventLog, changedIssues, new Set(['9']));
+    // Another instance has added the events of an issue this one doesn't know about
+    gDatabase.events.push({issue_id: 50, issue_seq: 1, datetime: new Date(SAME_TIME), data: JSON.stringify({issueId: '50', event: 'created'})});
+
+    let store = createPostgresCacheStore('postgres://test', JSON.dateParser);
+    await store.write('fullEventLogCache', changedEventLog, ['9']);
+
+    let storedEventLog = await store.read('fullEventLogCache');
+    assert.deepStrictEqual(JSON.stringify(storedEventLog.filter((event) => {return event.issueId != '50'})), JSON.stringify(changedEventLog));
+    assert.strictEqual(storedEventLog.filter((event) => {return event.issueId == '50'}).length, 1);
+  });
+});
+
+test('reloadCachesFromStore', async (t) => {
+  await server.gReadyPromise;
+
+  const before = new Date('2026-01-20T00:00:00.000Z');
+  const after = new Date('2026-01-21T00:00:00.000Z');
+  const storedIssues = [makeIssue({id: '1'}), makeIssue({id: '2'})];
+  const storedEventLog = server.calculateFullEventLog(storedIssues);
+
+  let stored = {};
+  server.gCacheStore.shared = true;
+  server.gCacheStore.read = (cacheName) => {return Promise.resolve(stored[cacheName])};
+
+  const setCaches = () => {
+    server.gCaches.fullIssueArrayCache = [makeIssue({id: '1'})];
+    server.gCaches.fullIssueArrayCacheLastUpdateTime = before;
+    server.gCaches.fullEventLogCache = server.calculateFullEventLog(server.gCaches.fullIssueArrayCache);
+    server.gCaches.fullEventLogCacheLastUpdateTime = before;
+  };
+
+  await t.test('reads in caches another instance has updated', async () => {
+    setCaches();
+    stored = {fullIssueArrayCache: storedIssues, fullIssueArrayCacheLastUpdateTime: after, fullEventLogCache: storedEventLog, fullEventLogCacheLastUpdateTime: after};
+    await server.reloadCachesFromStore('Q1');
+    assert.strictEqual(server.gCaches.fullIssueArrayCache, storedIssues);
+    assert.strictEqual(server.gCaches.fullIssueArrayCacheLastUpdateTime, after);
+    assert.strictEqual(server.gCaches.fullEventLogCache, storedEventLog);
+    assert.strictEqual(server.gCaches.fullEventLogCacheLastUpdateTime, after);
+  });
+
+  await t.test('recalculates the event log if the stored one is for older issues', async () => {
+    setCaches();
+    stored = {fullIssueArrayCache: storedIssues, fullIssueArrayCacheLastUpdateTime: after, fullEventLogCache: [], fullEventLogCacheLastUpdateTime: before};
+    await server.reloadCachesFromStore('Q1');
+    assert.strictEqual(server.gCaches.fullIssueArrayCache, storedIssues);
+    assert.strictEqual(server.gCaches.fullEventLogCacheLastUpdateTime, null);
+  });
+
+  await t.test('keeps its own caches if they are as up to date', async () => {
+    setCaches();
+    let issues = server.gCaches.fullIssueArrayCache;
+    stored = {fullIssueArrayCache: storedIssues, fullIssueArrayCacheLastUpdateTime: before};
+    await server.reloadCachesFromStore('Q1');
+    assert.strictEqual(server.gCaches.fullIssueArrayCache, issues);
+  });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('./load-server');
+const {makeIssue, statusChange, sizeChange, resolutionChange, versionChange, clone} = require('./helpers');
+
+// Events that happen at exactly the same time in different issues are where an incremental merge is most likely to differ
+const SAME_TIME = '2026-01-10T12:00:00.000Z';
+
+function makeIssues() {
+  return [
+    makeIssue({id: '9', versions: ['500'], histories: [statusChange(SAME_TIME, 'Backlog', 'Dev'), sizeChange('2026-01-11T09:00:00.000Z', 3, 5)]}),
+    makeIssue({id: '10', versions: ['500'], histories: [statusChange(SAME_TIME, 'Backlog', 'Dev'), resolutionChange(SAME_TIME, 'Done')]}),
+    makeIssue({id: '11', created: SAME_TIME, histories: [versionChange('2026-01-12T09:00:00.000Z', null, '500')]}),
+    makeIssue({id: '100', versions: ['500'], histories: [statusChange(SAME_TIME, 'Backlog', 'Dev')]}),
+    makeIssue({id: '1000', size: 8, histories: [sizeChange(SAME_TIME, 5, 8)]})
+  ];
+}
+
+function summarise(eventLog) {
+  return eventLog.map((event) => {return [new Date(event.datetime).toISOString(), event.issueId, event.event, event.eventDetails]});
+}
+
+function assertSameAsFullRecalculation(issues, changedIssueIds) {
+  let eventLog = server.calculateFullEventLog(clone(makeIssues()));
+  let updatedEventLog = server.updateEventLogForIssues(eventLog, clone(issues), new Set(changedIssueIds));
+  assert.deepStrictEqual(summarise(updatedEventLog), summarise(server.calculateFullEventLog(clone(issues))));
+}
+
+test('updateEventLogForIssues', async (t) => {
+  await server.gReadyPromise;
+
+  await t.test('returns the same log when nothing has changed', () => {
+    let eventLog = server.calculateFullEventLog(makeIssues());
+    assert.strictEqual(server.updateEventLogForIssues(eventLog, makeIssues(), new Set()), eventLog);
+  });
+
+  await t.test('matches a full recalculation when issues change', () => {
+    let issues = makeIssues();
+    issues[1].changelog.histories.push(sizeChange(SAME_TIME, 3, 13));
+    issues[3].changelog.histories.push(statusChange('2026-01-20T09:00:00.000Z', 'Dev', 'Deployed'));
+    issues[3].key = 'OPS-100';
+    assertSameAsFullRecalculation(issues, ['10', '100']);
+  });
+
+  await t.test('matches a full recalculation when issues are added', () => {
+    let issues = makeIssues();
+    issues.splice(3, 0, makeIssue({id: '50', created: SAME_TIME, versions: ['500'], histories: [sizeChange(SAME_TIME, 1, 2)]}));
+    issues.push(makeIssue({id: '20000', created: '2026-01-01T00:00:00.000Z'}));
+    assertSameAsFullRecalculation(issues, ['50', '20000']);
+  });
+
+  await t.test('matches a full recalculation when issues are deleted', () => {
+    let issues = makeIssues();
+    issues[0].deleted = SAME_TIME;
+    issues[4].deleted = '2026-02-01T00:00:00.000Z';
+    assertSameAsFullRecalculation(issues, ['9', '1000']);
+  });
+
+  await t.test('matches a full recalculation when an issue is removed from the cache', () => {
+    let issues = makeIssues();
+    issues.splice(1, 1);
+    assertSameAsFullRecalculation(issues, ['10']);
+  });
+});
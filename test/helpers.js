@@ -0,0 +1,64 @@
+let gNextHistoryId = 1;
+
+/**
+ * Makes a JIRA issue (as returned by a search with the changelog expanded) with just the fields the service uses.
+ *
+ * @param {{id: string, created: string, type: string, size: number, versions: string[], status: string, histories: Object[]}} options
+ * @return {Object} the JIRA issue
+ */
+function makeIssue({id, created = '2026-01-05T09:00:00.000Z', type = 'Story', size = 3, versions = [], status = 'Backlog', project = 'ENG', histories = []}) {
+  return {
+    id: id,
+    key: project + '-' + id,
+    fields: {
+      created: created,
+      updated: created,
+      summary: 'Issue ' + id,
+      issuetype: {name: type},
+      project: {key: project},
+      status: {name: status},
+      resolution: null,
+      customfield_10016: size,
+      fixVersions: versions.map((versionId) => {return {id: versionId}}),
+      customfield_10020: null
+    },
+    changelog: {histories: histories}
+  };
+}
+
+/**
+ * Makes a change log entry for a single field change.
+ *
+ * @param {string} created When the change was made
+ * @param {{field: string, fieldId: string, from: string, fromString: string, to: string, toString: string}} item The field change
+ * @return {Object} the change log entry
+ */
+function makeHistory(created, item) {
+  return {id: String(gNextHistoryId++), created: created, items: [item]};
+}
+
+function statusChange(created, fromStatus, toStatus) {
+  return makeHistory(created, {field: 'status', fieldId: 'status', fromString: fromStatus, toString: toStatus});
+}
+
+function sizeChange(created, fromSize, toSize) {
+  return makeHistory(created, {field: 'Story Points', fieldId: 'customfield_10016', fromString: String(fromSize), toString: String(toSize)});
+}
+
+function resolutionChange(created, resolution) {
+  return makeHistory(created, {field: 'resolution', fieldId: 'resolution', fromString: null, toString: resolution});
+}
+
+function versionChange(created, fromVersion, toVersion) {
+  return makeHistory(created, {field: 'Fix Version', fieldId: 'fixVersions', from: fromVersion, to: toVersion});
+}
+
+function sprintChange(created, fromSprints, toSprints) {
+  return makeHistory(created, {field: 'Sprint', fieldId: 'customfield_10020', from: fromSprints, to: toSprints});
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {makeIssue, makeHistory, statusChange, sizeChange, resolutionChange, versionChange, sprintChange, clone};
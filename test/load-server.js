@@ -0,0 +1,17 @@
+// Loads server.js for the tests: nothing listens on a port, nothing is read from or written to the real caches and
+// JIRA is never contacted unless a test stubs the client (gJira)
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.JIRA_HOST = 'jira.example.com';
+process.env.JIRA_USERNAME = 'test';
+process.env.JIRA_PASSWORD = 'test';
+process.env.CONFIG_FILE = path.join(__dirname, 'config-that-does-not-exist.json');
+process.env.CACHE_STORE = 'file';
+process.env.REFRESH_INTERVAL_MINUTES = '0';
+process.env.RECONCILE_INTERVAL_MINUTES = '0';
+process.env.JIRA_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.CACHE_DIR = path.join(os.tmpdir(), 'jira-metrics-test-caches-' + process.pid);
+
+module.exports = require('esm')(module)('../server.js');
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('./load-server');
+
+test('calculatePercentile', async (t) => {
+  await server.gReadyPromise;
+
+  await t.test('interpolates between the closest ranks', () => {
+    assert.strictEqual(server.calculatePercentile([30, 10, 20, 40], 0), 10);
+    assert.strictEqual(server.calculatePercentile([30, 10, 20, 40], 50), 25);
+    assert.strictEqual(server.calculatePercentile([30, 10, 20, 40], 100), 40);
+  });
+
+  await t.test('is NaN without any values', () => {
+    assert.ok(isNaN(server.calculatePercentile([], 50)));
+  });
+
+  await t.test('ranks infinite values above every finite value', () => {
+    const values = [Infinity, 3, Infinity, 1, 2, Infinity];
+    assert.strictEqual(server.calculatePercentile(values, 0), 1);
+    assert.strictEqual(server.calculatePercentile(values, 40), 3);
+    // Between the last finite value and the first infinite one, so don't interpolate
+    assert.strictEqual(server.calculatePercentile(values, 50), 3);
+    assert.strictEqual(server.calculatePercentile(values, 60), Infinity);
+    assert.strictEqual(server.calculatePercentile([Infinity, Infinity], 0), Infinity);
+  });
+});
+
+test('simulateBurnups', async (t) => {
+  await server.gReadyPromise;
+
+  await t.test('records the burnup each day and when each simulation finishes', () => {
+    const simulation = server.simulateBurnups([2], 5, 4, 3);
+    assert.deepStrictEqual(simulation.burnupsByDay, [[2, 2, 2], [4, 4, 4], [6, 6, 6], [8, 8, 8]]);
+    assert.deepStrictEqual(simulation.completionDays, [3, 3, 3]);
+  });
+
+  await t.test('keeps simulating beyond the horizon until the scope is delivered', () => {
+    const simulation = server.simulateBurnups([1], 10, 2, 2);
+    assert.deepStrictEqual(simulation.burnupsByDay, [[1, 1], [2, 2]]);
+    assert.deepStrictEqual(simulation.completionDays, [10, 10]);
+  });
+
+  await t.test('finishes straight away if there is nothing left to deliver', () => {
+    assert.deepStrictEqual(server.simulateBurnups([], 0, 1, 2).completionDays, [0, 0]);
+  });
+
+  await t.test('never finishes if nothing is ever delivered', () => {
+    const simulation = server.simulateBurnups([0, -1], 5, 3, 2);
+    assert.deepStrictEqual(simulation.completionDays, [Infinity, Infinity]);
+    assert.strictEqual(simulation.burnupsByDay.length, 3);
+  });
+});
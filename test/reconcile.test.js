@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('./load-server');
+const {makeIssue, sprintChange} = require('./helpers');
+
+test('reconcileIssueCache', async (t) => {
+  await server.gReadyPromise;
+
+  function setIssueCache(issues) {
+    server.gCaches.fullIssueArrayCache = issues;
+    server.gCaches.fullIssueArrayCacheLastUpdateTime = new Date();
+  }
+
+  await t.test('marks issues that are no longer in JIRA as deleted', async () => {
+    let recentlyUpdated = makeIssue({id: '3'});
+    recentlyUpdated.fields.updated = new Date().toISOString();
+    setIssueCache([makeIssue({id: '1'}), makeIssue({id: '2'}), recentlyUpdated]);
+    server.gJira.search.search = () => Promise.resolve({total: 1, maxResults: 1000, issues: [{id: '1'}]});
+
+    assert.strictEqual(await server.reconcileIssueCache(), 1);
+    let deleted = server.gCaches.fullIssueArrayCache.map((issue) => {return issue.deleted != null});
+    // Issue 3 may just not have reached JIRA's search yet
+    assert.deepStrictEqual(deleted, [false, true, false]);
+  });
+
+  await t.test('does not hold the issue array cache lock while fetching the IDs', async () => {
+    setIssueCache([makeIssue({id: '1'}), makeIssue({id: '2'})]);
+    let resolveSearch;
+    server.gJira.search.search = () => new Promise((resolve) => {resolveSearch = resolve});
+
+    let reconcilePromise = server.reconcileIssueCache();
+    let locked = await Promise.race([
+      server.gCacheManagementLock.acquire("fullIssueArrayCache", () => false),
+      new Promise((resolve) => {setTimeout(() => resolve(true), 100)})
+    ]);
+    assert.strictEqual(locked, false);
+
+    resolveSearch({total: 2, maxResults: 1000, issues: [{id: '1'}, {id: '2'}]});
+    assert.strictEqual(await reconcilePromise, 0);
+  });
+
+  await t.test('moves the snapshot on so the derived caches drop the deleted issues', async () => {
+    const sprint = {id: 2, name: 'Sprint 2', state: 'closed', startDate: '2026-01-19T09:00:00.000Z', endDate: '2026-01-30T09:00:00.000Z', completeDate: '2026-01-30T09:00:00.000Z'};
+    server.gJira.board.getSprintsForBoard = () => Promise.resolve({isLast: true, values: [sprint]});
+    let issues = [
+      makeIssue({id: '1', size: 3, histories: [sprintChange('2026-01-18T00:00:00.000Z', null, '2')]}),
+      makeIssue({id: '2', size: 2, histories: [sprintChange('2026-01-18T00:00:00.000Z', null, '2')]})
+    ];
+    issues.forEach((issue) => {
+      issue.fields.customfield_10020 = [{id: 2}];
+    });
+    const snapshotTime = new Date('2026-02-10T00:00:00.000Z');
+    server.gCaches.fullIssueArrayCache = issues;
+    server.gCaches.fullIssueArrayCacheLastUpdateTime = snapshotTime;
+    server.gCaches.fullEventLogCache = server.calculateFullEventLog(issues);
+    server.gCaches.fullEventLogCacheLastUpdateTime = snapshotTime;
+
+    const committed = async (now) => {
+      const window = {now: now, from: new Date('2026-01-01T00:00:00.000Z'), to: now, intervalMs: 86400000, maxDataPoints: 100};
+      let result = [];
+      await server.getSprintVelocityPromise('Q1', window, {refId: 'A', data: {boardId: 7, toStatus: 'Deployed', format: 'table'}}, result);
+      return result[0].rows[0][4];
+    };
+    assert.strictEqual(await committed(snapshotTime), 5);
+
+    server.gJira.search.search = () => Promise.resolve({total: 1, maxResults: 1000, issues: [{id: '1'}]});
+    assert.strictEqual(await server.reconcileIssueCache(), 1);
+    // Queries are answered as of the new snapshot, which the event log has been brought up to
+    let newSnapshotTime = server.gCaches.fullIssueArrayCacheLastUpdateTime;
+    assert.ok(newSnapshotTime > snapshotTime);
+    assert.strictEqual(server.gCaches.fullEventLogCacheLastUpdateTime.getTime(), newSnapshotTime.getTime());
+    assert.ok(server.gCaches.fullEventLogCache.some((event) => {return event.issueId == '2' && event.event == 'deleted'}));
+    assert.strictEqual(await committed(newSnapshotTime), 3);
+  });
+});
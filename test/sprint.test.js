@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('./load-server');
+const {makeIssue, sprintChange, statusChange, sizeChange} = require('./helpers');
+
+const SPRINT_START = new Date('2026-01-19T09:00:00.000Z');
+
+test('getSprintIdsAt', async (t) => {
+  await server.gReadyPromise;
+
+  await t.test('uses the sprint history', () => {
+    let issue = makeIssue({id: '1', histories: [sprintChange('2026-01-18T00:00:00.000Z', null, '2'), sprintChange('2026-01-25T00:00:00.000Z', '2', '2, 3')]});
+    issue.fields.customfield_10020 = [{id: 2}, {id: 3}];
+    assert.deepStrictEqual(server.getSprintIdsAt(issue, new Date('2026-01-17T00:00:00.000Z')), []);
+    assert.deepStrictEqual(server.getSprintIdsAt(issue, SPRINT_START), [2]);
+    assert.deepStrictEqual(server.getSprintIdsAt(issue, new Date('2026-01-26T00:00:00.000Z')), [2, 3]);
+  });
+
+  await t.test('uses the current sprints if they have never changed', () => {
+    let issue = makeIssue({id: '1'});
+    issue.fields.customfield_10020 = ['com.atlassian.greenhopper.service.sprint.Sprint@1a2b[id=12,rapidViewId=4,state=ACTIVE]'];
+    assert.deepStrictEqual(server.getSprintIdsAt(issue, SPRINT_START), [12]);
+    assert.deepStrictEqual(server.getSprintIdsAt(issue, null), [12]);
+  });
+
+  await t.test('is in no sprint before it was created', () => {
+    // Created straight in to a running sprint, so there's no sprint history
+    let issue = makeIssue({id: '1', created: '2026-01-21T10:00:00.000Z'});
+    issue.fields.customfield_10020 = [{id: 2}];
+    assert.deepStrictEqual(server.getSprintIdsAt(issue, SPRINT_START), []);
+    assert.deepStrictEqual(server.getSprintIdsAt(issue, new Date('2026-01-22T00:00:00.000Z')), [2]);
+  });
+});
+
+test('getSprintBurndownPromise', async (t) => {
+  await server.gReadyPromise;
+
+  const sprint = {id: 2, name: 'Sprint 2', state: 'active', startDate: SPRINT_START.toISOString(), endDate: '2026-01-30T09:00:00.000Z'};
+  server.gJira.sprint.getSprint = () => Promise.resolve(sprint);
+  server.gJira.board.getSprintsForBoard = () => Promise.resolve({isLast: true, values: [sprint]});
+
+  let issues = [
+    // Committed, then completed
+    makeIssue({id: '1', size: 3, histories: [sprintChange('2026-01-18T00:00:00.000Z', null, '2'), statusChange('2026-01-21T12:00:00.000Z', 'Dev', 'Deployed')]}),
+    // Committed, then re-estimated
+    makeIssue({id: '2', size: 8, histories: [sprintChange('2026-01-18T00:00:00.000Z', null, '2'), sizeChange('2026-01-22T12:00:00.000Z', 5, 8)]}),
+    // Moved in to the sprint after it started
+    makeIssue({id: '3', size: 2, histories: [sprintChange('2026-01-23T12:00:00.000Z', null, '2')]}),
+    // Created straight in to the running sprint, so it has no sprint history
+    makeIssue({id: '4', size: 1, created: '2026-01-20T12:00:00.000Z'})
+  ];
+  issues.forEach((issue) => {
+    issue.fields.status = {name: 'Dev'};
+    issue.fields.customfield_10020 = [{id: 2}];
+  });
+  const now = new Date('2026-01-25T00:00:00.000Z');
+  server.gCaches.fullIssueArrayCache = issues;
+  server.gCaches.fullIssueArrayCacheLastUpdateTime = now;
+  server.gCaches.fullEventLogCache = server.calculateFullEventLog(issues);
+  server.gCaches.fullEventLogCacheLastUpdateTime = now;
+
+  const window = {now: now, from: new Date('2026-01-01T00:00:00.000Z'), to: now, intervalMs: 86400000, maxDataPoints: 100};
+  const series = async (data) => {
+    let result = [];
+    await server.getSprintBurndownPromise('Q1', window, {refId: 'A', data: data}, result);
+    let byName = {};
+    result.forEach((r) => {byName[r.target] = r.datapoints.map((datapoint) => {return datapoint[0]})});
+    return byName;
+  };
+
+  await t.test('burns down as issues complete, are re-estimated and are added', async () => {
+    let burndown = await series({sprintId: 2, toStatus: 'Deployed'});
+    // Days start at 09:00 on the 19th to the 24th, then now
+    assert.deepStrictEqual(burndown['Remaining'], [8, 8, 9, 6, 9, 11, 11]);
+    assert.deepStrictEqual(burndown['Scope added'], [0, 0, 1, 1, 1, 3, 3]);
+    assert.deepStrictEqual(burndown['Ideal'], [8, 0]);
+  });
+
+  await t.test('uses the board\'s active sprint', async () => {
+    let burndown = await series({boardId: 7, toStatus: 'Deployed'});
+    assert.deepStrictEqual(burndown['Remaining'], [8, 8, 9, 6, 9, 11, 11]);
+  });
+
+  await t.test('rejects a query without a sprint or board', () => {
+    assert.throws(() => {server.getSprintBurndownPromise('Q1', window, {refId: 'A', data: {toStatus: 'Deployed'}}, [])}, /needs a sprintId or a boardId/);
+  });
+});
+
+test('getSprintVelocityPromise', async (t) => {
+  await server.gReadyPromise;
+
+  const sprint = {id: 2, name: 'Sprint 2', state: 'closed', startDate: SPRINT_START.toISOString(), endDate: '2026-01-30T09:00:00.000Z', completeDate: '2026-01-30T09:00:00.000Z'};
+  server.gJira.board.getSprintsForBoard = () => Promise.resolve({isLast: true, values: [sprint]});
+
+  let issues = [
+    // Committed at 3 points and completed, then re-estimated after the sprint
+    makeIssue({id: '1', size: 8, histories: [sprintChange('2026-01-18T00:00:00.000Z', null, '2'), statusChange('2026-01-21T12:00:00.000Z', 'Dev', 'Deployed'), sizeChange('2026-02-05T12:00:00.000Z', 3, 8)]}),
+    // Committed at 2 points, re-estimated during the sprint and not completed
+    makeIssue({id: '2', size: 5, histories: [sprintChange('2026-01-18T00:00:00.000Z', null, '2'), sizeChange('2026-01-22T12:00:00.000Z', 2, 5)]})
+  ];
+  issues[0].fields.status = {name: 'Deployed'};
+  issues[1].fields.status = {name: 'Dev'};
+  issues.forEach((issue) => {
+    issue.fields.customfield_10020 = [{id: 2}];
+  });
+  const now = new Date('2026-02-10T00:00:00.000Z');
+  server.gCaches.fullIssueArrayCache = issues;
+  server.gCaches.fullIssueArrayCacheLastUpdateTime = now;
+  server.gCaches.fullEventLogCache = server.calculateFullEventLog(issues);
+  server.gCaches.fullEventLogCacheLastUpdateTime = now;
+
+  const window = {now: now, from: new Date('2026-01-01T00:00:00.000Z'), to: now, intervalMs: 86400000, maxDataPoints: 100};
+
+  await t.test('uses the sizes at the start and end of the sprint', async () => {
+    let result = [];
+    await server.getSprintVelocityPromise('Q1', window, {refId: 'A', data: {boardId: 7, toStatus: 'Deployed', format: 'table'}}, result);
+    // Committed, Completed
+    assert.deepStrictEqual(result[0].rows.map((row) => {return row.slice(4)}), [[5, 3]]);
+  });
+
+  await t.test('rejects a query without a board', () => {
+    assert.throws(() => {server.getSprintVelocityPromise('Q1', window, {refId: 'A', data: {toStatus: 'Deployed'}}, [])}, /needs a boardId/);
+  });
+});
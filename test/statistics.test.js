@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('./load-server');
+
+test('calculateStatistic', async (t) => {
+  await server.gReadyPromise;
+
+  const values = [4, 1, 3, 2, 10];
+
+  await t.test('calculates each statistic', () => {
+    assert.strictEqual(server.calculateStatistic(values, 'mean'), 4);
+    assert.strictEqual(server.calculateStatistic(values, 'median'), 3);
+    // 40% of the way from the 4th value (4) to the 5th (10)
+    assert.ok(Math.abs(server.calculateStatistic(values, 'p85') - 6.4) < 1e-9);
+    assert.strictEqual(server.calculateStatistic(values, 'min'), 1);
+    assert.strictEqual(server.calculateStatistic(values, 'max'), 10);
+    assert.strictEqual(server.calculateStatistic(values, 'stddev'), Math.sqrt(10));
+  });
+
+  await t.test('is NaN without any values', () => {
+    assert.ok(isNaN(server.calculateStatistic([], 'median')));
+  });
+
+});
+
+test('getStatistic', async (t) => {
+  await server.gReadyPromise;
+
+  const target = (data) => {return {target: 'Lead time', refId: 'A', data: data}};
+
+  await t.test('defaults to the mean', () => {
+    assert.strictEqual(server.getStatistic(target({})), 'mean');
+    assert.strictEqual(server.getStatistic(target({statistic: 'p85'})), 'p85');
+  });
+
+  await t.test('rejects unknown statistics', () => {
+    assert.throws(() => {server.getStatistic(target({statistic: 'average'}))}, /Unknown statistic: average/);
+    assert.throws(() => {server.getStatistic(target({statistic: null}))}, /Unknown statistic/);
+  });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('./load-server');
+
+test('getTicketQueryJQLClauses', async (t) => {
+  await server.gReadyPromise;
+
+  const target = (data) => {return {target: 'High visibility tickets', refId: 'A', data: data}};
+
+  await t.test('restricts the search to the project and team', () => {
+    assert.deepStrictEqual(server.getTicketQueryJQLClauses(target({projectKey: 'ENG'})), ['project = "ENG"']);
+    assert.strictEqual(server.getTicketQueryJQLClauses(target({projectKey: 'ENG', teamId: 9})).length, 2);
+  });
+
+  await t.test('rejects a missing or invalid projectKey', () => {
+    assert.throws(() => {server.getTicketQueryJQLClauses(target({}))}, /needs a projectKey/);
+    assert.throws(() => {server.getTicketQueryJQLClauses(target({projectKey: 'X" OR project is not EMPTY OR key = "Y'}))}, /needs a projectKey/);
+  });
+
+  await t.test('rejects a teamId that isn\'t a number', () => {
+    assert.throws(() => {server.getTicketQueryJQLClauses(target({projectKey: 'ENG', teamId: '9 OR project is not EMPTY'}))}, /Invalid teamId/);
+  });
+
+  await t.test('rejects an invalid lookback only if it is used', () => {
+    assert.throws(() => {server.getTicketQueryJQLClauses(target({projectKey: 'ENG', lookback: '-1w OR 1=1'}), true)}, /Invalid lookback/);
+    assert.doesNotThrow(() => {server.getTicketQueryJQLClauses(target({projectKey: 'ENG', lookback: '-1w OR 1=1'}))});
+  });
+});
+
+test('ticket tables', async (t) => {
+  await server.gReadyPromise;
+
+  let searchedJQL = null;
+  server.gJira.search.search = ({jql}) => {
+    searchedJQL = jql;
+    return Promise.resolve({issues: []});
+  };
+
+  await t.test('escapes quotes and backslashes in labels', async () => {
+    await server.getHighVizTicketsPromise('Q1', {target: 'High visibility tickets', data: {projectKey: 'ENG', label: 'a" OR key = "b\\'}}, []);
+    assert.strictEqual(searchedJQL, 'project = "ENG" AND labels = "a\\" OR key = \\"b\\\\"');
+  });
+
+  await t.test('escapes quotes in status names', async () => {
+    await server.getTicketsFinishedLastWeekPromise('Q1', {target: 'Tickets finished in the last week', data: {projectKey: 'ENG', toStatus: 'Deployed") OR key = ("X'}}, []);
+    assert.ok(searchedJQL.includes('"Deployed\\") OR key = (\\"X"'), searchedJQL);
+  });
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const server = require('./load-server');
+const {makeIssue, statusChange, sizeChange} = require('./helpers');
+
+const SECRET = process.env.JIRA_WEBHOOK_SECRET;
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function sign(body, secret = SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+test('isWebhookAuthentic', async (t) => {
+  const request = ({query = {}, signature = null, rawBody = Buffer.from('{}')}) => {
+    return {query: query, rawBody: rawBody, get: (header) => {return header == 'X-Hub-Signature' ? signature : undefined}};
+  };
+
+  await t.test('accepts the secret as a query parameter', () => {
+    assert.strictEqual(server.isWebhookAuthentic(request({query: {secret: SECRET}})), true);
+    assert.strictEqual(server.isWebhookAuthentic(request({query: {secret: SECRET + 'x'}})), false);
+    assert.strictEqual(server.isWebhookAuthentic(request({query: {secret: ''}})), false);
+  });
+
+  await t.test('accepts a signature of the body', () => {
+    let body = Buffer.from('{"webhookEvent":"jira:issue_updated"}');
+    assert.strictEqual(server.isWebhookAuthentic(request({signature: sign(body), rawBody: body})), true);
+    assert.strictEqual(server.isWebhookAuthentic(request({signature: sign(body, 'wrong'), rawBody: body})), false);
+    // The signature is of a different body
+    assert.strictEqual(server.isWebhookAuthentic(request({signature: sign(body), rawBody: Buffer.from('{}')})), false);
+  });
+
+  await t.test('rejects requests without the secret', () => {
+    assert.strictEqual(server.isWebhookAuthentic(request({})), false);
+  });
+});
+
+test('/webhooks/jira', async (t) => {
+  await server.gReadyPromise;
+
+  let listener = server.gApp.listen(0, '127.0.0.1');
+  await new Promise((resolve) => {listener.once('listening', resolve)});
+  t.after(() => {listener.close()});
+  const url = 'http://127.0.0.1:' + listener.address().port + '/webhooks/jira';
+
+  const post = async (fixtureName, query = '?secret=' + SECRET, headers = {}) => {
+    let res = await fetch(url + query, {method: 'POST', headers: Object.assign({'Content-Type': 'application/json'}, headers), body: readFixture(fixtureName)});
+    return {status: res.status, body: await res.json()};
+  };
+
+  // JIRA returns the issue with its change log
+  let jiraIssue = null;
+  server.gJira.issue.getIssue = ({issueId}) => {
+    assert.strictEqual(issueId, '10042');
+    return Promise.resolve(jiraIssue);
+  };
+
+  const snapshotTime = new Date('2026-01-20T00:00:00.000Z');
+  server.gCaches.fullIssueArrayCache = [makeIssue({id: '1'}), makeIssue({id: '20000'})];
+  server.gCaches.fullIssueArrayCacheLastUpdateTime = snapshotTime;
+  server.gCaches.fullIssueArrayCacheLastPollTime = snapshotTime;
+  server.gCaches.fullEventLogCache = server.calculateFullEventLog(server.gCaches.fullIssueArrayCache);
+  server.gCaches.fullEventLogCacheLastUpdateTime = snapshotTime;
+
+  const issueEvents = () => {
+    return server.gCaches.fullEventLogCache.filter((event) => {return event.issueId == '10042'});
+  };
+
+  await t.test('rejects webhooks without the secret', async () => {
+    assert.strictEqual((await post('jira-issue-created.json', '')).status, 401);
+    assert.strictEqual((await post('jira-issue-created.json', '?secret=wrong')).status, 401);
+    assert.strictEqual(server.gCaches.fullIssueArrayCache.length, 2);
+  });
+
+  await t.test('adds created issues', async () => {
+    jiraIssue = makeIssue({id: '10042', created: '2026-01-21T09:00:00.000Z'});
+    let res = await post('jira-issue-created.json');
+    assert.deepStrictEqual(res, {status: 200, body: {issueId: '10042', action: 'added'}});
+    assert.deepStrictEqual(server.gCaches.fullIssueArrayCache.map((issue) => {return issue.id}), ['1', '10042', '20000']);
+    // The snapshot has moved on, and the event log with it, so the derived caches will be recalculated
+    assert.ok(server.gCaches.fullIssueArrayCacheLastUpdateTime > snapshotTime);
+    assert.strictEqual(server.gCaches.fullEventLogCacheLastUpdateTime.getTime(), server.gCaches.fullIssueArrayCacheLastUpdateTime.getTime());
+    assert.ok(issueEvents().length > 0);
+    // The next query to JIRA still asks for everything updated since the last one
+    assert.strictEqual(server.gCaches.fullIssueArrayCacheLastPollTime, snapshotTime);
+  });
+
+  await t.test('updates changed issues (with a signed request)', async () => {
+    jiraIssue = makeIssue({id: '10042', created: '2026-01-21T09:00:00.000Z', histories: [statusChange('2026-01-22T09:00:00.000Z', 'Backlog', 'Dev'), sizeChange('2026-01-22T09:05:00.000Z', 3, 5)]});
+    jiraIssue.fields.status = {name: 'Dev'};
+    let res = await post('jira-issue-updated.json', '', {'X-Hub-Signature': sign(readFixture('jira-issue-updated.json'))});
+    assert.deepStrictEqual(res, {status: 200, body: {issueId: '10042', action: 'updated'}});
+    assert.strictEqual(server.gCaches.fullIssueArrayCache[1].fields.status.name, 'Dev');
+    assert.ok(issueEvents().some((event) => {return event.event == 'sizeChange' && event.eventDetails.size == 5}));
+  });
+
+  await t.test('marks deleted issues as deleted', async () => {
+    let res = await post('jira-issue-deleted.json');
+    assert.deepStrictEqual(res, {status: 200, body: {issueId: '10042', action: 'removed'}});
+    assert.ok(server.gCaches.fullIssueArrayCache[1].deleted instanceof Date);
+    assert.ok(issueEvents().some((event) => {return event.event == 'deleted'}));
+    // Deleting it again changes nothing
+    assert.deepStrictEqual((await post('jira-issue-deleted.json')).body.action, 'ignored');
+  });
+
+  await t.test('ignores webhooks until the issue cache has been filled', async () => {
+    server.gCaches.fullIssueArrayCache = [];
+    server.gCaches.fullIssueArrayCacheLastUpdateTime = null;
+    let res = await post('jira-issue-created.json');
+    assert.deepStrictEqual(res.body.action, 'ignored');
+    assert.strictEqual(server.gCaches.fullIssueArrayCache.length, 0);
+  });
+});